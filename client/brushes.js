@@ -0,0 +1,198 @@
+// Brush engine: how a freehand stroke operation is painted. Everything the
+// result depends on (brush, opacity, seed and per-point pressure) is part of
+// the operation, so every client, replay and export paints the same stroke.
+
+// `style`: how segments are painted (line, pencil, spray or nib).
+// `pressure`: width follows pen pressure. `layered`: always painted on its
+// own layer and composited (with `blend`), so overlapping parts of the
+// stroke never darken each other; any stroke with opacity below 1 is layered
+// too. `opacity` is the default the opacity slider jumps to.
+export const BRUSHES = {
+    pen: { label: 'Pen', style: 'line', opacity: 1, pressure: true },
+    marker: { label: 'Marker', style: 'line', opacity: 0.6, pressure: false },
+    highlighter: { label: 'Highlighter', style: 'line', opacity: 0.4, pressure: false, layered: true, blend: 'multiply', cap: 'butt' },
+    pencil: { label: 'Pencil', style: 'pencil', opacity: 0.9, pressure: true },
+    spray: { label: 'Spray', style: 'spray', opacity: 1, pressure: true },
+    calligraphy: { label: 'Calligraphy', style: 'nib', opacity: 1, pressure: true, nibAngle: -Math.PI / 4 }
+};
+
+export const DEFAULT_BRUSH = 'pen';
+
+// Strokes from before brushes existed (and eraser strokes) paint as a pen
+export function getBrush(stroke) {
+    return BRUSHES[stroke.brush] || BRUSHES[DEFAULT_BRUSH];
+}
+
+export function getOpacity(stroke) {
+    return Number.isFinite(stroke.opacity) ? Math.min(1, Math.max(0, stroke.opacity)) : 1;
+}
+
+// Whether the stroke has to be painted whole on a layer; such strokes can't
+// be drawn a few segments at a time
+export function isLayered(stroke) {
+    return stroke.tool !== 'eraser' && (getBrush(stroke).layered || getOpacity(stroke) < 1);
+}
+
+// Small deterministic PRNG (mulberry32): the grain of pencil and spray
+// strokes comes from the stroke's seed and the segment index, so a segment
+// looks the same whether it is drawn live or repainted
+function random(seed, index) {
+    let state = (seed ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Line width at a point: pen pressure `p` (0-1) thins the stroke down to a
+// quarter of the brush size; points without pressure use the full size
+function widthAt(brush, width, point) {
+    return !brush.pressure || point.p === undefined ? width : width * (0.25 + 0.75 * point.p);
+}
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Strokes are smoothed with quadratic curves through the midpoints between
+// samples, using each sample as the control point. A stroke of n points has
+// n segments: a straight start (p0 -> mid01), curves mid(i-1,i) -> mid(i,i+1)
+// around p_i, and a straight tail (mid(n-2,n-1) -> p_n-1). Segment i is drawn
+// with the width at p_i, and is final once p_i+1 exists (only the tail can
+// still change while the stroke is being drawn).
+function segmentCurve(points, i) {
+    const point = points[i];
+    if (i === 0) return { start: point, control: null, end: midpoint(point, points[1]) };
+    if (i === points.length - 1) return { start: midpoint(points[i - 1], point), control: null, end: point };
+    return { start: midpoint(points[i - 1], point), control: point, end: midpoint(point, points[i + 1]) };
+}
+
+// Points along a segment about `step` apart, from its start up to (not
+// including) its end
+function sampleCurve({ start, control, end }, step) {
+    const through = control || midpoint(start, end);
+    const length = Math.hypot(through.x - start.x, through.y - start.y) + Math.hypot(end.x - through.x, end.y - through.y);
+    const count = Math.max(1, Math.ceil(length / step));
+    const samples = [];
+    for (let k = 0; k < count; k++) {
+        const t = k / count;
+        const u = 1 - t;
+        samples.push({
+            x: u * u * start.x + 2 * u * t * through.x + t * t * end.x,
+            y: u * u * start.y + 2 * u * t * through.y + t * t * end.y
+        });
+    }
+    return samples;
+}
+
+function traceCurve(ctx, { start, control, end }) {
+    ctx.moveTo(start.x, start.y);
+    if (control) {
+        ctx.quadraticCurveTo(control.x, control.y, end.x, end.y);
+    } else {
+        ctx.lineTo(end.x, end.y);
+    }
+}
+
+// Paint segment i of a stroke in the brush's style
+function paintSegment(ctx, brush, stroke, i, seed) {
+    const { points } = stroke;
+    const curve = segmentCurve(points, i);
+    const width = widthAt(brush, stroke.width, points[i]);
+
+    if (brush.style === 'spray') {
+        // Dots scattered evenly over a disc around the path
+        const rng = random(seed, i);
+        const dot = Math.max(0.5, stroke.width / 25);
+        const perSample = Math.max(2, Math.round(width / 3));
+        for (const sample of sampleCurve(curve, Math.max(1, width / 4))) {
+            for (let k = 0; k < perSample; k++) {
+                const radius = width / 2 * Math.sqrt(rng());
+                const angle = rng() * Math.PI * 2;
+                ctx.fillRect(sample.x + Math.cos(angle) * radius - dot / 2,
+                    sample.y + Math.sin(angle) * radius - dot / 2, dot, dot);
+            }
+        }
+        return;
+    }
+
+    if (brush.style === 'nib') {
+        // A flat nib at a fixed angle: thick across the nib, thin along it
+        const nx = Math.cos(brush.nibAngle) * width / 2;
+        const ny = Math.sin(brush.nibAngle) * width / 2;
+        const path = [...sampleCurve(curve, Math.max(0.5, width / 8)), curve.end];
+        ctx.beginPath();
+        path.forEach((point, k) => k === 0 ? ctx.moveTo(point.x + nx, point.y + ny) : ctx.lineTo(point.x + nx, point.y + ny));
+        for (let k = path.length - 1; k >= 0; k--) ctx.lineTo(path[k].x - nx, path[k].y - ny);
+        ctx.closePath();
+        ctx.fill();
+
+        // Keep strokes parallel to the nib from vanishing
+        ctx.lineWidth = Math.max(0.5, width / 10);
+        ctx.beginPath();
+        traceCurve(ctx, curve);
+        ctx.stroke();
+        return;
+    }
+
+    if (brush.style === 'pencil') {
+        // A light core line with graphite grain around it
+        const rng = random(seed, i);
+        const grain = Math.max(0.4, width / 8);
+        ctx.save();
+        ctx.globalAlpha = 0.5;
+        ctx.lineWidth = width * 0.6;
+        ctx.beginPath();
+        traceCurve(ctx, curve);
+        ctx.stroke();
+        for (const sample of sampleCurve(curve, Math.max(0.5, width / 3))) {
+            for (let k = 0; k < 2; k++) {
+                const dx = (rng() - 0.5) * width;
+                const dy = (rng() - 0.5) * width;
+                ctx.globalAlpha = 0.2 + rng() * 0.5;
+                ctx.fillRect(sample.x + dx - grain / 2, sample.y + dy - grain / 2, grain, grain);
+            }
+        }
+        ctx.restore();
+        return;
+    }
+
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    traceCurve(ctx, curve);
+    ctx.stroke();
+}
+
+// Paint segments [from, to) of a freehand stroke on `ctx` in its current
+// transform, opaque: the caller applies the stroke's opacity (see isLayered)
+export function paintStroke(ctx, stroke, from = 0, to = stroke.points.length) {
+    const { points } = stroke;
+    const brush = stroke.tool === 'eraser' ? BRUSHES.pen : getBrush(stroke);
+    const seed = Number.isInteger(stroke.seed) ? stroke.seed : 0;
+
+    ctx.strokeStyle = stroke.color;
+    ctx.fillStyle = stroke.color;
+    ctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+    ctx.lineCap = brush.cap || 'round';
+
+    // A whole line of constant width is one path: no overlapping caps at the joints
+    const constant = !brush.pressure || points.every(point => point.p === undefined);
+    if (brush.style === 'line' && constant && from === 0 && to === points.length) {
+        ctx.lineWidth = stroke.width;
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length - 1; i++) {
+            const end = midpoint(points[i], points[i + 1]);
+            ctx.quadraticCurveTo(points[i].x, points[i].y, end.x, end.y);
+        }
+        const lastPoint = points[points.length - 1];
+        ctx.lineTo(lastPoint.x, lastPoint.y);
+        ctx.stroke();
+        return;
+    }
+
+    for (let i = from; i < to; i++) {
+        paintSegment(ctx, brush, stroke, i, seed);
+    }
+}
@@ -1,52 +1,436 @@
+import { Scene, TEXT_FONT, TEXT_LINE_HEIGHT } from './scene.js';
+import { BRUSHES, DEFAULT_BRUSH, getBrush, getOpacity, isLayered, paintStroke } from './brushes.js';
+
+// Every client shares one logical, unbounded board; points, widths and
+// cursors on the wire are in board units. BOARD_WIDTH × BOARD_HEIGHT is the
+// home frame a new view is fitted to.
+export const BOARD_WIDTH = 1600;
+export const BOARD_HEIGHT = 900;
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 20;
+const MAX_EXPORT_SIZE = 16384; // pixels per side browsers can still encode
+
+export const HANDLE_SIZE = 8; // selection handles, CSS pixels
+
+// Stroke a shape operation: `points` holds the two corners (rect, ellipse) or
+// the two ends (line, arrow) of the drag
+export function strokeShape(ctx, { shape, points: [start, end], color, width }) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.globalCompositeOperation = 'source-over';
+    
+    ctx.beginPath();
+    switch (shape) {
+        case 'rect':
+            ctx.rect(Math.min(start.x, end.x), Math.min(start.y, end.y),
+                Math.abs(end.x - start.x), Math.abs(end.y - start.y));
+            break;
+            
+        case 'ellipse':
+            ctx.ellipse((start.x + end.x) / 2, (start.y + end.y) / 2,
+                Math.abs(end.x - start.x) / 2, Math.abs(end.y - start.y) / 2, 0, 0, Math.PI * 2);
+            break;
+            
+        case 'arrow': {
+            const head = Scene.arrowHeadLength(width);
+            const angle = Math.atan2(end.y - start.y, end.x - start.x);
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            for (const side of [-1, 1]) {
+                ctx.moveTo(end.x, end.y);
+                ctx.lineTo(end.x - head * Math.cos(angle + side * Math.PI / 6),
+                    end.y - head * Math.sin(angle + side * Math.PI / 6));
+            }
+            break;
+        }
+            
+        default: // line
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+    }
+    ctx.stroke();
+}
+
+// Fill a text operation; (x, y) is the top-left of its first line box, the
+// glyphs sit centered in each line box like in the inline editor
+function fillText(ctx, { x, y, text, fontSize, color }) {
+    const lineHeight = fontSize * TEXT_LINE_HEIGHT;
+    ctx.fillStyle = color;
+    ctx.font = `${fontSize}px ${TEXT_FONT}`;
+    ctx.textBaseline = 'top';
+    ctx.globalCompositeOperation = 'source-over';
+    
+    text.split('\n').forEach((line, i) => {
+        ctx.fillText(line, x, y + i * lineHeight + (lineHeight - fontSize) / 2);
+    });
+}
+
+// Paint any scene operation (freehand stroke, shape, text, fill or image)
+// on `ctx`, in its transformed position
+function paintOperation(ctx, op) {
+    ctx.save();
+    if (op.matrix) ctx.transform(...op.matrix);
+    
+    if (op.type === 'text') {
+        fillText(ctx, op);
+    } else if (op.type === 'fill') {
+        paintFill(ctx, op);
+    } else if (op.type === 'image') {
+        paintImage(ctx, op);
+    } else if (op.type === 'shape') {
+        strokeShape(ctx, op);
+    } else if (op.points && op.points.length >= 2) {
+        if (isLayered(op)) {
+            paintLayered(ctx, op);
+        } else {
+            paintStroke(ctx, op);
+        }
+    }
+    ctx.restore();
+}
+
+const fillBitmaps = new WeakMap(); // fill region -> canvas holding its cells
+
+// Paint a fill's region (see fill.js), one cell per bitmap pixel scaled up
+function paintFill(ctx, { region, color }) {
+    if (!region) return;
+    
+    let bitmap = fillBitmaps.get(region);
+    if (!bitmap) {
+        bitmap = document.createElement('canvas');
+        bitmap.width = region.cols;
+        bitmap.height = region.rows;
+        const bitmapCtx = bitmap.getContext('2d');
+        const image = bitmapCtx.createImageData(region.cols, region.rows);
+        const rgb = parseInt(color.slice(1), 16);
+        region.mask.forEach((inside, i) => {
+            if (!inside) return;
+            image.data[i * 4] = rgb >> 16;
+            image.data[i * 4 + 1] = (rgb >> 8) & 0xFF;
+            image.data[i * 4 + 2] = rgb & 0xFF;
+            image.data[i * 4 + 3] = 255;
+        });
+        bitmapCtx.putImageData(image, 0, 0);
+        fillBitmaps.set(region, bitmap);
+    }
+    
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(bitmap, region.x, region.y, region.cols * region.cell, region.rows * region.cell);
+}
+
+const images = new Map(); // src -> image element, loaded once per page
+const imageListeners = new Set(); // called whenever an image finishes loading
+
+function getImage(src) {
+    let image = images.get(src);
+    if (!image) {
+        image = new Image();
+        image.addEventListener('load', () => imageListeners.forEach(listener => listener()));
+        image.src = src;
+        images.set(src, image);
+    }
+    return image;
+}
+
+// Resolves once the images among `operations` have loaded (or failed to)
+function loadImages(operations) {
+    return Promise.all(operations
+        .filter(op => op.type === 'image')
+        .map(op => getImage(op.src).decode().catch(() => {})));
+}
+
+// Paint an uploaded image; one still loading is left out until it arrives
+function paintImage(ctx, { src, x, y, width, height }) {
+    const image = getImage(src);
+    if (!image.complete || image.naturalWidth === 0) return;
+    
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.drawImage(image, x, y, width, height);
+}
+
+let strokeLayer = null; // scratch canvas for layered strokes
+
+// Paint a stroke opaque on a layer covering its on-screen bounds, then
+// composite the layer with the stroke's opacity and blend mode. The target's
+// clip region still applies.
+function paintLayered(ctx, op) {
+    const box = Scene.getLocalBounds(op);
+    const transform = ctx.getTransform();
+    const corners = [
+        { x: box.x, y: box.y }, { x: box.x + box.width, y: box.y },
+        { x: box.x, y: box.y + box.height }, { x: box.x + box.width, y: box.y + box.height }
+    ].map(point => transform.transformPoint(point));
+    
+    const left = Math.max(0, Math.floor(Math.min(...corners.map(point => point.x))));
+    const top = Math.max(0, Math.floor(Math.min(...corners.map(point => point.y))));
+    const right = Math.min(ctx.canvas.width, Math.ceil(Math.max(...corners.map(point => point.x))));
+    const bottom = Math.min(ctx.canvas.height, Math.ceil(Math.max(...corners.map(point => point.y))));
+    if (right <= left || bottom <= top) return;
+    
+    strokeLayer = strokeLayer || document.createElement('canvas');
+    strokeLayer.width = right - left; // also clears it and resets its context
+    strokeLayer.height = bottom - top;
+    const layerCtx = strokeLayer.getContext('2d');
+    layerCtx.setTransform(transform.a, transform.b, transform.c, transform.d,
+        transform.e - left, transform.f - top);
+    layerCtx.lineJoin = 'round';
+    paintStroke(layerCtx, op);
+    
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = getOpacity(op);
+    ctx.globalCompositeOperation = getBrush(op).blend || 'source-over';
+    ctx.drawImage(strokeLayer, left, top);
+    ctx.restore();
+}
+
+let layerCanvas = null; // scratch canvas for composited drawing layers
+
+// Paint drawing layers ({ layer, operations }, bottom first) on `ctx`,
+// skipping objects outside `area`. A layer at full opacity without
+// pixel-eraser strokes is painted straight onto `ctx`; any other layer is
+// painted on a scratch canvas first, so its eraser strokes only cut into that
+// layer, and composited with the layer's opacity.
+function paintLayers(ctx, groups, area) {
+    for (const { layer, operations } of groups) {
+        const inArea = operations.filter(op => {
+            const bounds = Scene.getBounds(op);
+            return bounds && Scene.intersects(area, bounds);
+        });
+        if (inArea.length === 0) continue;
+        
+        if (layer.opacity >= 1 && !inArea.some(op => op.tool === 'eraser')) {
+            inArea.forEach(op => paintOperation(ctx, op));
+            continue;
+        }
+        
+        layerCanvas = layerCanvas || document.createElement('canvas');
+        if (layerCanvas.width !== ctx.canvas.width || layerCanvas.height !== ctx.canvas.height) {
+            layerCanvas.width = ctx.canvas.width;
+            layerCanvas.height = ctx.canvas.height;
+        }
+        const layerCtx = layerCanvas.getContext('2d');
+        layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+        layerCtx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+        layerCtx.setTransform(ctx.getTransform());
+        layerCtx.lineCap = 'round';
+        layerCtx.lineJoin = 'round';
+        inArea.forEach(op => paintOperation(layerCtx, op));
+        
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = layer.opacity;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(layerCanvas, 0, 0);
+        ctx.restore();
+    }
+}
+
 export class DrawingCanvas {
-    constructor(canvasId) {
+    // `scene` is the retained model every repaint is drawn from
+    constructor(canvasId, scene) {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
-        this.currentPath = [];
-        this.isDrawing = false;
+        
+        // Selection chrome is drawn on a separate canvas laid over the board,
+        // so board repaints never have to erase it
+        this.overlay = document.getElementById('overlay-canvas');
+        this.overlayCtx = this.overlay.getContext('2d');
+        this.scene = scene;
         
         // Default settings
         this.color = '#FF6B6B';
         this.brushSize = 5;
         this.tool = 'brush';
+        this.brush = DEFAULT_BRUSH; // brush engine type for new strokes
+        this.opacity = 1;
+        
+        // Strokes in progress -> number of their segments already on the bitmap
+        this.strokeProgress = new WeakMap();
         
-        // For smooth drawing
-        this.lastX = 0;
-        this.lastY = 0;
+        // This user's viewport: board -> CSS pixels is `board * scale + offset`;
+        // dpr is the device pixel ratio of the backing store
+        this.view = { scale: 1, offsetX: 0, offsetY: 0, dpr: 1 };
+        this.hasView = false;
+        this.redrawFrame = null;
+        
+        // Called after every pan / zoom / resize, and after every repaint
+        this.onViewChange = null;
+        this.onRedraw = null;
+        
+        // Images are painted once loaded
+        imageListeners.add(() => this.scheduleRedraw());
         
         // Initialize canvas size
         this.resize();
     }
     
     init() {
+        this.applyContextSettings();
+        
+        // Handle window resize
+        window.addEventListener('resize', () => this.resize());
+        this.watchPixelRatio();
+    }
+    
+    // Moving the window to a screen with another pixel ratio (or zooming the
+    // page) needs a new backing store
+    watchPixelRatio() {
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            this.resize();
+            this.watchPixelRatio();
+        }, { once: true });
+    }
+    
+    // Resizing a canvas resets its context, so settings are (re)applied here
+    applyContextSettings() {
+        const { scale, offsetX, offsetY, dpr } = this.view;
+        this.ctx.setTransform(scale * dpr, 0, 0, scale * dpr, offsetX * dpr, offsetY * dpr);
+        
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
-        this.ctx.globalCompositeOperation = 'source-over';
         
-        // Set initial color and size
         this.setColor(this.color);
         this.setBrushSize(this.brushSize);
-        
-        // Handle window resize
-        window.addEventListener('resize', () => this.resize());
+        this.setTool(this.tool);
     }
     
     resize() {
-        const container = this.canvas.parentElement;
-        const rect = container.getBoundingClientRect();
+        // CSS size of the drawing area (the element is styled to fill its container)
+        const cssWidth = this.canvas.clientWidth;
+        const cssHeight = this.canvas.clientHeight;
+        const dpr = window.devicePixelRatio || 1;
         
-        // Set canvas size to match container (accounting for padding)
-        const width = rect.width - 40; // Subtract padding
-        const height = rect.height - 40; // Subtract padding
+        // Backing store in device pixels keeps strokes sharp on HiDPI screens
+        const width = Math.round(cssWidth * dpr);
+        const height = Math.round(cssHeight * dpr);
+        
+        // Keep the board point at the center of the view where it was
+        const center = this.hasView && this.toBoardUnrounded(this.cssWidth / 2, this.cssHeight / 2);
+        this.cssWidth = cssWidth;
+        this.cssHeight = cssHeight;
+        this.view.dpr = dpr;
         
-        // Only resize if dimensions changed
         if (this.canvas.width !== width || this.canvas.height !== height) {
             this.canvas.width = width;
             this.canvas.height = height;
-            
-            // Redraw existing content
-            this.redraw();
         }
+        
+        // The overlay covers the canvas border box, in device pixels
+        this.overlay.width = Math.round(this.canvas.offsetWidth * dpr);
+        this.overlay.height = Math.round(this.canvas.offsetHeight * dpr);
+        this.overlay.style.width = `${this.canvas.offsetWidth}px`;
+        this.overlay.style.height = `${this.canvas.offsetHeight}px`;
+        
+        if (!this.hasView) {
+            // First layout: show the home frame
+            this.fitBounds({ x: 0, y: 0, width: BOARD_WIDTH, height: BOARD_HEIGHT }, 0);
+            this.hasView = cssWidth > 0 && cssHeight > 0;
+        } else {
+            this.setView(this.view.scale,
+                cssWidth / 2 - center.x * this.view.scale,
+                cssHeight / 2 - center.y * this.view.scale);
+        }
+    }
+    
+    setView(scale, offsetX, offsetY) {
+        this.view = { ...this.view, scale, offsetX, offsetY };
+        
+        // The bitmap only holds the visible part of the board: repaint it all
+        this.applyContextSettings();
+        this.scheduleRedraw();
+        
+        if (this.onViewChange) this.onViewChange();
+    }
+    
+    // Pan by a distance in CSS pixels
+    panBy(dx, dy) {
+        this.setView(this.view.scale, this.view.offsetX + dx, this.view.offsetY + dy);
+    }
+    
+    // Zoom by `factor`, keeping the board point under (clientX, clientY) in place
+    zoomAt(clientX, clientY, factor) {
+        const rect = this.canvas.getBoundingClientRect();
+        const sx = clientX - rect.left - this.canvas.clientLeft;
+        const sy = clientY - rect.top - this.canvas.clientTop;
+        const anchor = this.toBoardUnrounded(sx, sy);
+        
+        const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.view.scale * factor));
+        this.setView(scale, sx - anchor.x * scale, sy - anchor.y * scale);
+    }
+    
+    // Zoom around the center of the view
+    zoomBy(factor) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.zoomAt(rect.left + rect.width / 2, rect.top + rect.height / 2, factor);
+    }
+    
+    // Show `bounds` (board units) as large as possible, centered
+    fitBounds(bounds, padding = 40) {
+        const availableWidth = Math.max(1, this.cssWidth - padding * 2);
+        const availableHeight = Math.max(1, this.cssHeight - padding * 2);
+        const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM,
+            Math.min(availableWidth / Math.max(bounds.width, 1), availableHeight / Math.max(bounds.height, 1))));
+        
+        this.setView(scale,
+            this.cssWidth / 2 - (bounds.x + bounds.width / 2) * scale,
+            this.cssHeight / 2 - (bounds.y + bounds.height / 2) * scale);
+    }
+    
+    fitToContent() {
+        const bounds = this.scene.getContentBounds();
+        this.fitBounds(bounds || { x: 0, y: 0, width: BOARD_WIDTH, height: BOARD_HEIGHT });
+    }
+    
+    // The part of the board currently on screen, in board units
+    getVisibleBounds() {
+        const { scale, offsetX, offsetY } = this.view;
+        return {
+            x: -offsetX / scale,
+            y: -offsetY / scale,
+            width: this.cssWidth / scale,
+            height: this.cssHeight / scale
+        };
+    }
+    
+    // Coalesce repaints while panning/zooming to one per frame
+    scheduleRedraw() {
+        if (this.redrawFrame) return;
+        this.redrawFrame = requestAnimationFrame(() => {
+            this.redrawFrame = null;
+            this.redraw();
+        });
+    }
+    
+    toBoardUnrounded(sx, sy) {
+        const { scale, offsetX, offsetY } = this.view;
+        return { x: (sx - offsetX) / scale, y: (sy - offsetY) / scale };
+    }
+    
+    // Client (event) coordinates -> board units, rounded to keep messages small
+    toBoard(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const { x, y } = this.toBoardUnrounded(
+            clientX - rect.left - this.canvas.clientLeft,
+            clientY - rect.top - this.canvas.clientTop
+        );
+        
+        return {
+            x: Math.round(x * 100) / 100,
+            y: Math.round(y * 100) / 100
+        };
+    }
+    
+    // Board units -> CSS pixels relative to the canvas element's border box
+    toScreen(x, y) {
+        const { scale, offsetX, offsetY } = this.view;
+        return {
+            x: x * scale + offsetX + this.canvas.clientLeft,
+            y: y * scale + offsetY + this.canvas.clientTop
+        };
     }
     
     setColor(color) {
@@ -68,81 +452,177 @@ export class DrawingCanvas {
         }
     }
     
-    startDrawing(x, y) {
-        this.isDrawing = true;
-        this.currentPath = [{x, y}];
-        this.lastX = x;
-        this.lastY = y;
-        
-        this.ctx.beginPath();
-        this.ctx.moveTo(x, y);
+    // Switching brush resets the opacity to the brush's default
+    setBrush(brush) {
+        if (!BRUSHES[brush]) return;
+        this.brush = brush;
+        this.opacity = BRUSHES[brush].opacity;
     }
     
-    draw(x, y) {
-        if (!this.isDrawing) return;
-        
-        // Add point to current path
-        this.currentPath.push({x, y});
+    setOpacity(opacity) {
+        this.opacity = Math.min(1, Math.max(0.05, opacity));
+    }
+    
+    // Draw the segments of a stroke in progress (ours or a remote one) that
+    // can no longer change; `final` also draws the tail once the stroke ends.
+    // The result matches a full repaint of the finished stroke.
+    drawStrokeProgress(stroke, final = false) {
+        const count = stroke.points.length;
+        const drawn = this.strokeProgress.get(stroke) || 0;
+        const upTo = final ? count : count - 1;
+        if (count < 2 || upTo <= drawn) return;
+        this.strokeProgress.set(stroke, upTo);
         
-        // Draw with smoothing
-        this.ctx.lineTo(x, y);
-        this.ctx.stroke();
+        if (!this.canDrawDirectly(stroke)) {
+            // Repaint the area of the new segments from the scene, stroke
+            // included, so it is composited like everything else
+            const changed = stroke.points.slice(Math.max(0, drawn - 1), upTo + 1);
+            this.redraw(Scene.getBounds({ ...stroke, points: changed }));
+            return;
+        }
         
-        this.lastX = x;
-        this.lastY = y;
+        this.ctx.save();
+        paintStroke(this.ctx, stroke, drawn, upTo);
+        this.ctx.restore();
     }
     
-    stopDrawing() {
-        if (!this.isDrawing) return;
-        
-        this.isDrawing = false;
-        this.ctx.closePath();
+    // Only an opaque stroke on the top shown layer, at full opacity, can be
+    // painted straight onto the bitmap: nothing is drawn over it
+    canDrawDirectly(stroke) {
+        if (stroke.tool === 'eraser' || isLayered(stroke)) return false;
+        const shown = this.scene.getLayers().filter(layer => layer.visible);
+        const top = shown[shown.length - 1];
+        return Boolean(top) && top.id === Scene.layerOf(stroke) && top.opacity >= 1;
     }
     
-    drawPath(points, color, width, tool) {
-        if (!points || points.length < 2) return;
-        
-        const previousColor = this.ctx.strokeStyle;
-        const previousWidth = this.ctx.lineWidth;
-        const previousComposite = this.ctx.globalCompositeOperation;
-        
-        // Set drawing properties
-        this.ctx.strokeStyle = color;
-        this.ctx.lineWidth = width;
-        this.ctx.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : 'source-over';
+    drawOperation(operation) {
+        this.ctx.save();
+        paintOperation(this.ctx, operation);
+        this.ctx.restore();
+    }
+    
+    // Repaint `bounds` (or the whole canvas when null) from the scene, leaving
+    // pixels outside the region untouched. Resize, undo, redo and history
+    // replay all go through here.
+    redraw(bounds = null) {
+        if (!this.scene) return;
         
-        // Draw the path
-        this.ctx.beginPath();
-        this.ctx.moveTo(points[0].x, points[0].y);
+        const layers = this.scene.getRenderLayers();
+        this.ctx.save();
         
-        for (let i = 1; i < points.length; i++) {
-            this.ctx.lineTo(points[i].x, points[i].y);
+        if (bounds) {
+            this.ctx.beginPath();
+            this.ctx.rect(bounds.x, bounds.y, bounds.width, bounds.height);
+            this.ctx.clip();
+            this.ctx.clearRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        } else {
+            this.clearBitmap();
         }
         
-        this.ctx.stroke();
-        this.ctx.closePath();
+        // Skip everything outside the repainted area (the view, for a full repaint)
+        paintLayers(this.ctx, layers, bounds || this.getVisibleBounds());
+        
+        this.ctx.restore();
         
-        // Restore previous properties
-        this.ctx.strokeStyle = previousColor;
-        this.ctx.lineWidth = previousWidth;
-        this.ctx.globalCompositeOperation = previousComposite;
+        if (this.onRedraw) this.onRedraw();
     }
     
-    getCurrentPath() {
-        return [...this.currentPath];
+    // Draw selection outlines, handles and the box-select marquee on the
+    // overlay. Everything is in CSS pixels relative to the canvas border box:
+    // `outline` is a polygon, `handles` squares, `rotateHandle` a circle
+    // and `marquee` a rectangle.
+    drawSelection({ outline = null, handles = [], rotateHandle = null, marquee = null } = {}) {
+        const ctx = this.overlayCtx;
+        ctx.setTransform(this.view.dpr, 0, 0, this.view.dpr, 0, 0);
+        ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+        
+        ctx.strokeStyle = '#667eea';
+        ctx.fillStyle = 'white';
+        ctx.lineWidth = 1;
+        
+        if (marquee) {
+            ctx.save();
+            ctx.setLineDash([4, 4]);
+            ctx.fillStyle = 'rgba(102, 126, 234, 0.08)';
+            ctx.fillRect(marquee.x, marquee.y, marquee.width, marquee.height);
+            ctx.strokeRect(marquee.x, marquee.y, marquee.width, marquee.height);
+            ctx.restore();
+        }
+        
+        if (outline) {
+            ctx.beginPath();
+            outline.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+            ctx.closePath();
+            ctx.stroke();
+        }
+        
+        if (rotateHandle && outline) {
+            const topMiddle = { x: (outline[0].x + outline[1].x) / 2, y: (outline[0].y + outline[1].y) / 2 };
+            ctx.beginPath();
+            ctx.moveTo(topMiddle.x, topMiddle.y);
+            ctx.lineTo(rotateHandle.x, rotateHandle.y);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(rotateHandle.x, rotateHandle.y, HANDLE_SIZE / 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+        
+        for (const handle of handles) {
+            ctx.fillRect(handle.x - HANDLE_SIZE / 2, handle.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+            ctx.strokeRect(handle.x - HANDLE_SIZE / 2, handle.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+        }
     }
     
     clear() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.currentPath = [];
+        this.clearBitmap();
     }
     
-    redraw() {
-        // This would redraw all stored paths
-        // In a full implementation, we would store all paths and redraw them here
+    // Clear every device pixel, regardless of the current board transform
+    clearBitmap() {
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
     }
     
     getCanvasData() {
         return this.canvas.toDataURL();
     }
+    
+    // Render the whole drawing (or the home frame when empty) at `scale`
+    // pixels per board unit, independent of how this user has panned and
+    // zoomed, on `background` (transparent when null); shown layers are
+    // flattened. Resolves to a PNG data URL once every image is in.
+    async exportImage({ scale = 1, background = null } = {}) {
+        const bounds = this.scene.getContentBounds() ||
+            { x: 0, y: 0, width: BOARD_WIDTH, height: BOARD_HEIGHT };
+        const x = Math.floor(bounds.x);
+        const y = Math.floor(bounds.y);
+        const width = Math.ceil(bounds.x + bounds.width) - x;
+        const height = Math.ceil(bounds.y + bounds.height) - y;
+        scale = Math.min(scale, MAX_EXPORT_SIZE / width, MAX_EXPORT_SIZE / height);
+        
+        const output = document.createElement('canvas');
+        output.width = Math.round(width * scale);
+        output.height = Math.round(height * scale);
+        
+        const ctx = output.getContext('2d');
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, output.width, output.height);
+        }
+        ctx.scale(scale, scale);
+        ctx.translate(-x, -y);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        const visible = this.scene.getVisibleOperations();
+        await loadImages(visible);
+        const layers = this.scene.getLayers()
+            .filter(layer => layer.visible)
+            .map(layer => ({ layer, operations: visible.filter(op => Scene.layerOf(op) === layer.id) }));
+        paintLayers(ctx, layers, bounds);
+        
+        return output.toDataURL('image/png');
+    }
 }
\ No newline at end of file
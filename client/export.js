@@ -0,0 +1,264 @@
+import { Scene, TEXT_FONT, TEXT_LINE_HEIGHT } from './scene.js';
+import { BOARD_WIDTH, BOARD_HEIGHT, strokeShape } from './canvas.js';
+import { getOpacity, getBrush, isLayered, paintStroke } from './brushes.js';
+
+// Vector exports of the board: SVG drawn from the scene, and the lossless
+// .flamcanvas board file a fresh room can be restored from. Both are built
+// from the resolved objects rather than from pixels, so they cover the whole
+// board whatever part of it is on screen.
+
+export const BOARD_FILE_FORMAT = 'flamcanvas';
+export const BOARD_FILE_VERSION = 1;
+
+// Operation fields that only mean something in the room they were drawn in
+const SESSION_FIELDS = [
+    'operationId', 'version', 'userId', 'timestamp', 'objectId', 'src', 'region',
+    'strokeId', 'shapeId', 'textId', 'fillId', 'placeId'
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Image data as a data: URL, so exports don't depend on the server
+async function fetchDataUrl(src) {
+    const blob = await (await fetch(src)).blob();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Just enough of CanvasRenderingContext2D for paintStroke() and
+// strokeShape() to draw on: every stroke(), fill() and fillRect() becomes an
+// SVG element, so brushes look the same as on the canvas
+const STATE = ['strokeStyle', 'fillStyle', 'lineWidth', 'lineCap', 'lineJoin', 'globalAlpha', 'globalCompositeOperation'];
+
+class SvgContext {
+    constructor() {
+        this.elements = [];
+        this.states = [];
+        this.path = '';
+        this.strokeStyle = '#000000';
+        this.fillStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'round';
+        this.lineJoin = 'round';
+        this.globalAlpha = 1;
+        this.globalCompositeOperation = 'source-over';
+    }
+
+    save() {
+        this.states.push(STATE.map(key => this[key]));
+    }
+
+    restore() {
+        const state = this.states.pop();
+        if (state) STATE.forEach((key, i) => { this[key] = state[i]; });
+    }
+
+    beginPath() {
+        this.path = '';
+    }
+
+    moveTo(x, y) {
+        this.path += `M${round(x)} ${round(y)}`;
+    }
+
+    lineTo(x, y) {
+        this.path += `L${round(x)} ${round(y)}`;
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        this.path += `Q${round(cx)} ${round(cy)} ${round(x)} ${round(y)}`;
+    }
+
+    closePath() {
+        this.path += 'Z';
+    }
+
+    rect(x, y, width, height) {
+        this.path += `M${round(x)} ${round(y)}h${round(width)}v${round(height)}h${round(-width)}Z`;
+    }
+
+    // Whole ellipses only, which is all strokeShape() draws
+    ellipse(x, y, rx, ry) {
+        const arc = `A${round(rx)} ${round(ry)} 0 1 0`;
+        this.path += `M${round(x - rx)} ${round(y)}${arc} ${round(x + rx)} ${round(y)}${arc} ${round(x - rx)} ${round(y)}Z`;
+    }
+
+    alpha() {
+        return this.globalAlpha < 1 ? ` opacity="${round(this.globalAlpha)}"` : '';
+    }
+
+    stroke() {
+        this.elements.push(`<path d="${this.path}" fill="none" stroke="${escapeXml(this.strokeStyle)}" ` +
+            `stroke-width="${round(this.lineWidth)}" stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"${this.alpha()}/>`);
+    }
+
+    fill() {
+        this.elements.push(`<path d="${this.path}" fill="${escapeXml(this.fillStyle)}"${this.alpha()}/>`);
+    }
+
+    fillRect(x, y, width, height) {
+        this.elements.push(`<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" ` +
+            `fill="${escapeXml(this.fillStyle)}"${this.alpha()}/>`);
+    }
+}
+
+// A fill region (see fill.js) as one path of horizontal runs of cells
+function fillPath({ x, y, cell, cols, rows, mask }) {
+    let path = '';
+    for (let row = 0; row < rows; row++) {
+        let col = 0;
+        while (col < cols) {
+            if (!mask[row * cols + col]) {
+                col++;
+                continue;
+            }
+            const start = col;
+            while (col < cols && mask[row * cols + col]) col++;
+            path += `M${round(x + start * cell)} ${round(y + row * cell)}h${round((col - start) * cell)}v${round(cell)}h${round(-(col - start) * cell)}Z`;
+        }
+    }
+    return path;
+}
+
+// SVG markup of one object, in its transformed position
+function objectSvg(op, images) {
+    let markup = '';
+    if (op.type === 'text') {
+        const lineHeight = op.fontSize * TEXT_LINE_HEIGHT;
+        const lines = op.text.split('\n').map((line, i) =>
+            `<tspan x="${round(op.x)}" y="${round(op.y + i * lineHeight + (lineHeight - op.fontSize) / 2)}">${escapeXml(line)}</tspan>`);
+        markup = `<text font-family="${escapeXml(TEXT_FONT)}" font-size="${op.fontSize}" fill="${escapeXml(op.color)}" ` +
+            `dominant-baseline="text-before-edge" xml:space="preserve">${lines.join('')}</text>`;
+    } else if (op.type === 'fill') {
+        if (!op.region) return '';
+        markup = `<path d="${fillPath(op.region)}" fill="${escapeXml(op.color)}" shape-rendering="crispEdges"/>`;
+    } else if (op.type === 'image') {
+        if (!images.has(op.src)) return '';
+        markup = `<image href="${images.get(op.src)}" x="${round(op.x)}" y="${round(op.y)}" ` +
+            `width="${round(op.width)}" height="${round(op.height)}" preserveAspectRatio="none"/>`;
+    } else if (op.type === 'shape' || (op.points && op.points.length >= 2)) {
+        const ctx = new SvgContext();
+        if (op.type === 'shape') {
+            strokeShape(ctx, op);
+        } else {
+            paintStroke(ctx, op);
+        }
+        markup = ctx.elements.join('');
+
+        // Layered strokes are painted opaque and composited as a whole, like on the canvas
+        if (isLayered(op)) {
+            const blend = getBrush(op).blend;
+            markup = `<g opacity="${round(getOpacity(op))}"${blend ? ` style="mix-blend-mode:${blend}"` : ''}>${markup}</g>`;
+        }
+    }
+    return op.matrix ? `<g transform="matrix(${op.matrix.map(round).join(' ')})">${markup}</g>` : markup;
+}
+
+// The board as an SVG document: shown layers in stack order, each with its
+// opacity. Pixel-eraser strokes become masks over what was painted before
+// them on their layer. Images are embedded, with their data from
+// `imageData(op)` (fetched from the server by default).
+export async function exportSvg(scene, { background = null, imageData = op => fetchDataUrl(op.src) } = {}) {
+    const bounds = scene.getContentBounds() || { x: 0, y: 0, width: BOARD_WIDTH, height: BOARD_HEIGHT };
+    const x = Math.floor(bounds.x);
+    const y = Math.floor(bounds.y);
+    const width = Math.ceil(bounds.x + bounds.width) - x;
+    const height = Math.ceil(bounds.y + bounds.height) - y;
+    const area = `x="${x}" y="${y}" width="${width}" height="${height}"`;
+
+    const visible = scene.getVisibleOperations();
+    const images = new Map(); // src -> data URL
+    for (const op of visible) {
+        if (op.type !== 'image' || images.has(op.src)) continue;
+        try {
+            images.set(op.src, await imageData(op));
+        } catch (error) {
+            console.error(`Leaving out image ${op.src}:`, error);
+        }
+    }
+
+    const masks = [];
+    const layers = [];
+    for (const layer of scene.getLayers()) {
+        if (!layer.visible) continue;
+
+        let content = '';
+        for (const op of visible) {
+            if (Scene.layerOf(op) !== layer.id) continue;
+            if (op.tool !== 'eraser') {
+                content += objectSvg(op, images);
+                continue;
+            }
+
+            // White keeps, black erases
+            const id = `erase-${masks.length}`;
+            masks.push(`<mask id="${id}" maskUnits="userSpaceOnUse" ${area}><rect ${area} fill="white"/>` +
+                `${objectSvg({ ...op, color: '#000000' }, images)}</mask>`);
+            content = `<g mask="url(#${id})">${content}</g>`;
+        }
+        if (!content) continue;
+
+        layers.push(layer.opacity < 1 ? `<g opacity="${round(layer.opacity)}">${content}</g>` : `<g>${content}</g>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${x} ${y} ${width} ${height}" width="${width}" height="${height}">` +
+        (masks.length > 0 ? `<defs>${masks.join('')}</defs>` : '') +
+        (background ? `<rect ${area} fill="${escapeXml(background)}"/>` : '') +
+        layers.join('') +
+        '</svg>\n';
+}
+
+// The board as a .flamcanvas file: the layer stack and every object (on
+// hidden layers too) in z-order, with its placement as `matrix`, and the
+// images it uses as data URLs. No history: importing it starts a new one.
+export async function exportBoardFile(scene) {
+    const layers = scene.getLayers().map(({ id, name, visible, locked, opacity }) => ({ id, name, visible, locked, opacity }));
+    const layerIds = new Set(layers.map(layer => layer.id));
+
+    const images = {};
+    const objects = [];
+    for (const op of scene.getObjects()) {
+        if (!layerIds.has(Scene.layerOf(op))) continue;
+
+        const object = { ...op };
+        SESSION_FIELDS.forEach(key => delete object[key]);
+        if (op.type === 'image' && !(op.imageId in images)) {
+            images[op.imageId] = await fetchDataUrl(op.src);
+        }
+        objects.push(object);
+    }
+
+    return JSON.stringify({
+        format: BOARD_FILE_FORMAT,
+        version: BOARD_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        layers,
+        objects,
+        images
+    });
+}
+
+// Parse a .flamcanvas file; throws on anything that isn't one. The objects
+// themselves are validated by the server when they are imported.
+export function parseBoardFile(text) {
+    const board = JSON.parse(text);
+    if (!board || board.format !== BOARD_FILE_FORMAT) {
+        throw new Error('Not a .flamcanvas board file');
+    }
+    if (board.version > BOARD_FILE_VERSION) {
+        throw new Error(`Board file version ${board.version} is newer than this app supports`);
+    }
+    if (!Array.isArray(board.layers) || !Array.isArray(board.objects)) {
+        throw new Error('The board file is damaged');
+    }
+    return { layers: board.layers, objects: board.objects, images: board.images || {} };
+}
@@ -0,0 +1,214 @@
+import { Scene, IDENTITY, applyMatrix, distanceToSegment } from './scene.js';
+import { getBrush } from './brushes.js';
+
+// Flood fills are worked out from the vector scene instead of the pixels on
+// screen, which differ with zoom, pixel ratio and anti-aliasing. The objects
+// below a fill are rasterized onto a grid in board units with plain
+// arithmetic and the grid is flood-filled from the fill's seed point, so
+// every client computes the same region from the same history. Text is left
+// out: its size comes from each browser's font metrics, which differ.
+
+const MAX_FILL_CELLS = 2000000;
+const ELLIPSE_SEGMENTS = 64;
+const BACKGROUND = 0xFFFFFF; // the board is white
+
+function parseColor(color) {
+    const match = /^#([0-9a-f]{6})$/i.exec(color || '');
+    return match ? parseInt(match[1], 16) : 0;
+}
+
+// Whether two packed RGB colors differ by at most `tolerance` (0-100 % of
+// the full range) in every channel
+function isSimilar(a, b, tolerance) {
+    const limit = tolerance * 2.55;
+    return Math.abs((a >> 16) - (b >> 16)) <= limit &&
+        Math.abs(((a >> 8) & 0xFF) - ((b >> 8) & 0xFF)) <= limit &&
+        Math.abs((a & 0xFF) - (b & 0xFF)) <= limit;
+}
+
+// The outline of a stroke or shape as [a, b, radius] segments in board
+// units, or null for objects that cover an area (fills, images)
+function getOutline(op) {
+    const matrix = op.matrix || IDENTITY;
+    const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    const toBoard = (point) => applyMatrix(matrix, point);
+
+    if (op.type === 'stroke') {
+        const brush = getBrush(op);
+        const radiusAt = (point) => (brush.pressure && point.p !== undefined
+            ? op.width * (0.25 + 0.75 * point.p)
+            : op.width) * scale / 2;
+        const points = op.points.map(toBoard);
+        if (points.length === 1) return [[points[0], points[0], radiusAt(op.points[0])]];
+        return points.slice(1).map((point, i) =>
+            [points[i], point, Math.max(radiusAt(op.points[i]), radiusAt(op.points[i + 1]))]);
+    }
+
+    if (op.type === 'shape') {
+        const [start, end] = op.points;
+        let lines;
+        if (op.shape === 'rect') {
+            const corners = [start, { x: end.x, y: start.y }, end, { x: start.x, y: end.y }];
+            lines = corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+        } else if (op.shape === 'ellipse') {
+            const center = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+            const rx = Math.abs(end.x - start.x) / 2;
+            const ry = Math.abs(end.y - start.y) / 2;
+            const at = (i) => ({
+                x: center.x + rx * Math.cos(i / ELLIPSE_SEGMENTS * Math.PI * 2),
+                y: center.y + ry * Math.sin(i / ELLIPSE_SEGMENTS * Math.PI * 2)
+            });
+            lines = Array.from({ length: ELLIPSE_SEGMENTS }, (_, i) => [at(i), at(i + 1)]);
+        } else {
+            lines = [[start, end]];
+            if (op.shape === 'arrow') {
+                const head = Scene.arrowHeadLength(op.width);
+                const angle = Math.atan2(end.y - start.y, end.x - start.x);
+                for (const side of [-1, 1]) {
+                    lines.push([end, {
+                        x: end.x - head * Math.cos(angle + side * Math.PI / 6),
+                        y: end.y - head * Math.sin(angle + side * Math.PI / 6)
+                    }]);
+                }
+            }
+        }
+        return lines.map(([a, b]) => [toBoard(a), toBoard(b), op.width * scale / 2]);
+    }
+
+    return null;
+}
+
+// Rasterize `below` (visible objects in paint order) onto a grid: each cell
+// holds the color on top at its center
+function rasterize(below) {
+    let area = null;
+    for (const op of below) {
+        area = Scene.union(area, Scene.getBounds(op));
+    }
+    if (!area) return null;
+
+    // Cells are a power of two in size so the grid lines stay put as the
+    // drawing grows; one spare cell on every side marks the outside
+    const cell = 2 ** Math.max(0, Math.ceil(Math.log2(Math.sqrt(area.width * area.height / MAX_FILL_CELLS))));
+    const firstCol = Math.floor(area.x / cell) - 1;
+    const firstRow = Math.floor(area.y / cell) - 1;
+    const cols = Math.ceil((area.x + area.width) / cell) + 1 - firstCol;
+    const rows = Math.ceil((area.y + area.height) / cell) + 1 - firstRow;
+    const grid = {
+        x: firstCol * cell,
+        y: firstRow * cell,
+        cell,
+        cols,
+        rows,
+        colors: new Int32Array(cols * rows).fill(BACKGROUND)
+    };
+
+    // Cells of the grid whose centers fall in `bounds`, row by row
+    const forCells = (bounds, visit) => {
+        const c0 = Math.max(0, Math.floor((bounds.x - grid.x) / cell));
+        const r0 = Math.max(0, Math.floor((bounds.y - grid.y) / cell));
+        const c1 = Math.min(cols - 1, Math.floor((bounds.x + bounds.width - grid.x) / cell));
+        const r1 = Math.min(rows - 1, Math.floor((bounds.y + bounds.height - grid.y) / cell));
+        for (let r = r0; r <= r1; r++) {
+            for (let c = c0; c <= c1; c++) {
+                visit(r * cols + c, { x: grid.x + (c + 0.5) * cell, y: grid.y + (r + 0.5) * cell });
+            }
+        }
+    };
+
+    for (const op of below) {
+        const bounds = Scene.getBounds(op);
+        if (!bounds) continue;
+        // Image pixels are not part of the scene: an image counts as solid black
+        const color = op.tool === 'eraser' ? BACKGROUND : parseColor(op.color);
+        const outline = getOutline(op);
+
+        if (!outline) {
+            forCells(bounds, (index, center) => {
+                if (Scene.hits(op, center, 0)) grid.colors[index] = color;
+            });
+            continue;
+        }
+
+        for (const [a, b, reach] of outline) {
+            // At least 3/4 of a cell, so thin lines still form a closed wall
+            const radius = Math.max(reach, cell * 0.75);
+            const box = {
+                x: Math.min(a.x, b.x) - radius,
+                y: Math.min(a.y, b.y) - radius,
+                width: Math.abs(b.x - a.x) + radius * 2,
+                height: Math.abs(b.y - a.y) + radius * 2
+            };
+            forCells(box, (index, center) => {
+                if (distanceToSegment(center, a, b) <= radius) grid.colors[index] = color;
+            });
+        }
+    }
+    return grid;
+}
+
+// The region a fill operation covers given the visible objects below it:
+// `{x, y, cell, cols, rows, mask}` with one byte per cell, or null when the
+// area around the seed point is not enclosed
+export function computeFillRegion(below, fill) {
+    const grid = rasterize(below.filter(op => op.type !== 'text'));
+    if (!grid) return null;
+
+    const { cols, rows, cell, colors } = grid;
+    const seedCol = Math.floor((fill.x - grid.x) / cell);
+    const seedRow = Math.floor((fill.y - grid.y) / cell);
+    if (seedCol <= 0 || seedRow <= 0 || seedCol >= cols - 1 || seedRow >= rows - 1) return null;
+
+    // Four-connected flood fill over cells similar to the seed's color
+    const target = colors[seedRow * cols + seedCol];
+    const filled = new Uint8Array(cols * rows);
+    const stack = [seedRow * cols + seedCol];
+    filled[stack[0]] = 1;
+    let minCol = seedCol, maxCol = seedCol, minRow = seedRow, maxRow = seedRow;
+
+    while (stack.length > 0) {
+        const index = stack.pop();
+        const col = index % cols;
+        const row = (index - col) / cols;
+
+        // Reaching the spare border means the region is open
+        if (col === 0 || row === 0 || col === cols - 1 || row === rows - 1) return null;
+
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+
+        for (const next of [index - 1, index + 1, index - cols, index + cols]) {
+            if (!filled[next] && isSimilar(colors[next], target, fill.tolerance)) {
+                filled[next] = 1;
+                stack.push(next);
+            }
+        }
+    }
+
+    // Keep only the rectangle the region occupies
+    const width = maxCol - minCol + 1;
+    const height = maxRow - minRow + 1;
+    const mask = new Uint8Array(width * height);
+    for (let row = 0; row < height; row++) {
+        const from = (minRow + row) * cols + minCol;
+        mask.set(filled.subarray(from, from + width), row * width);
+    }
+    return {
+        x: grid.x + minCol * cell,
+        y: grid.y + minRow * cell,
+        cell,
+        cols: width,
+        rows: height,
+        mask
+    };
+}
+
+// Whether a board point (in the fill's own coordinates) is in the region
+export function regionContains(region, { x, y }) {
+    const col = Math.floor((x - region.x) / region.cell);
+    const row = Math.floor((y - region.y) / region.cell);
+    return col >= 0 && row >= 0 && col < region.cols && row < region.rows &&
+        region.mask[row * region.cols + col] === 1;
+}
@@ -0,0 +1,25 @@
+// Who we are to the server, kept across page loads: the token the server
+// gave us (which makes us the same user on the next connection, see
+// protocol.js) and our display name and color. Stored per browser, so all
+// tabs share it.
+
+const STORAGE_KEY = 'flamcanvas-identity';
+
+// { token, name, color }, any of them missing on a first visit
+export function loadIdentity() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved && typeof saved === 'object') return saved;
+    } catch (error) {
+        // Storage unavailable or garbled: start afresh
+    }
+    return {};
+}
+
+export function saveIdentity(identity) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(identity));
+    } catch (error) {
+        console.warn('Could not save identity:', error.message);
+    }
+}
@@ -1,21 +1,114 @@
-import { DrawingCanvas } from './canvas.js';
+import { DrawingCanvas, BOARD_WIDTH, BOARD_HEIGHT, HANDLE_SIZE } from './canvas.js';
 import { WebSocketClient } from './websocket.js';
+import { ERROR_CODES, MAX_BATCH_POINTS, MAX_NAME_LENGTH } from './protocol.js';
+import {
+    Scene, BASE_LAYER_ID, TEXT_FONT, TEXT_LINE_HEIGHT, IDENTITY, multiplyMatrix, applyMatrix, resamplePolyline, cutPolyline
+} from './scene.js';
+import { computeFillRegion } from './fill.js';
+import { BOARD_FILE_FORMAT, exportSvg, exportBoardFile, parseBoardFile } from './export.js';
+
+const STROKE_FLUSH_INTERVAL = 40; // ms between stroke-points batches
+const VIEWPORT_SEND_INTERVAL = 100; // ms between viewport updates to the room
+const CURSOR_SEND_INTERVAL = 50; // ms between cursor updates to the room
+const ZOOM_STEP = 1.25; // zoom buttons
+const SHAPE_TOOLS = ['line', 'rect', 'ellipse', 'arrow'];
+const SELECT_TOLERANCE = 6; // CSS pixels around an outline that still select it
+const ROTATE_HANDLE_OFFSET = 24; // CSS pixels above the selection box
+const MIN_SCALE = 0.01;
+const MAX_LAYER_NAME = 50;
+const IMAGE_TYPES = ['image/png', 'image/jpeg'];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // the server's upload limit
+const MAX_BOARD_BYTES = 16 * 1024 * 1024; // the server's board import limit
+const IMAGE_VIEW_FRACTION = 0.6; // imported images fit in this much of the view
+
+// Vector erasers: 'stroke-eraser' removes whole objects it touches,
+// 'split-eraser' cuts the part of freehand strokes under it
+const VECTOR_ERASERS = ['stroke-eraser', 'split-eraser'];
+
+// Eraser strokes only make sense where they were drawn
+const isSelectable = (op) => op.tool !== 'eraser';
+
+// `matrix` applied around board point `origin` instead of (0, 0)
+function aroundPoint(origin, matrix) {
+    return multiplyMatrix([1, 0, 0, 1, origin.x, origin.y],
+        multiplyMatrix(matrix, [1, 0, 0, 1, -origin.x, -origin.y]));
+}
 
 class CollaborativeDrawingApp {
     constructor() {
-        this.canvas = new DrawingCanvas('drawing-canvas');
+        // Retained scene: server-confirmed operations plus strokes in progress
+        this.scene = new Scene();
+        this.canvas = new DrawingCanvas('drawing-canvas', this.scene);
         this.wsClient = new WebSocketClient();
         this.userId = null;
+        this.userName = null;
         this.userColor = '#FF6B6B';
-        this.users = new Map();
+        this.users = new Map(); // userId -> { id, name, color, role, cursor, viewport } of the others in the room
+        this.roomId = this.getRoomIdFromUrl();
+        
+        // Our role in the room (owner, editor or viewer) and its settings; what
+        // we join with: the invite in the link we were opened with, and the
+        // room's password once asked for it
+        this.role = null;
+        this.roomAccess = { locked: false, ownerOnlyClear: false, inviteOnly: false, defaultRole: 'editor', hasPassword: false };
+        this.invite = new URLSearchParams(window.location.search).get('invite');
+        this.roomPassword = null;
+        
+        // Last server history we applied, so a reconnect only fetches the delta
+        this.stateId = null;
+        this.lastVersion = 0;
+        this.pendingHistory = null; // History being streamed in chunks
+        
+        // Board file waiting for a fresh room to be imported into, and whether
+        // the history we expect next is an import we sent
+        this.pendingImport = null;
+        this.awaitingImport = false;
         
         this.currentTool = 'brush';
         this.currentColor = '#FF6B6B';
         this.brushSize = 5;
         this.isDrawing = false;
         
-        this.operationHistory = [];
-        this.redoHistory = [];
+        // Whether undo and redo would change anything for us (the server says)
+        this.canUndo = false;
+        this.canRedo = false;
+        
+        // Our stroke in progress and its points not yet sent
+        this.currentStroke = null;
+        this.pendingPoints = [];
+        this.flushTimer = null;
+        
+        // Shape being dragged out (rubber band), until it is sent
+        this.currentShape = null;
+        
+        // Vector eraser drag in progress
+        this.currentErase = null;
+        
+        // Selected object ids and the select-tool drag in progress
+        // (marquee, move, scale or rotate)
+        this.selection = new Set();
+        this.selectGesture = null;
+        
+        // Inline text editor state: where it is, and the text it revises (if any)
+        this.fontSize = 24;
+        this.textEdit = null;
+        
+        // Bucket fill: how far (0-100 %) a color may differ and still be filled
+        this.fillTolerance = 10;
+        
+        // New objects go on this layer (local choice; the stack itself is shared)
+        this.activeLayerId = BASE_LAYER_ID;
+        
+        // Pan/zoom gestures in progress, and the user whose viewport we mirror
+        this.spaceHeld = false;
+        this.panning = null; // last pointer position while dragging the view
+        this.pinch = null; // last midpoint and finger distance of a two-finger gesture
+        this.touches = new Map(); // pointerId -> last event of each finger down
+        this.activePointerId = null; // pointer drawing / erasing / selecting
+        this.followingUserId = null;
+        this.viewportTimer = null;
+        this.cursorTimer = null;
+        this.cursorPosition = null;
         
         this.init();
     }
@@ -23,6 +116,14 @@ class CollaborativeDrawingApp {
     async init() {
         // Initialize canvas
         this.canvas.init();
+        this.canvas.onViewChange = () => this.handleViewChange();
+        this.canvas.onRedraw = () => this.drawSelection();
+        
+        // Handle WebSocket messages
+        this.wsClient.onMessage = this.handleWebSocketMessage.bind(this);
+        
+        // (Re)join our room every time the connection opens
+        this.wsClient.onConnect = () => this.sendJoin();
         
         // Connect to WebSocket server
         await this.wsClient.connect();
@@ -30,9 +131,6 @@ class CollaborativeDrawingApp {
         // Setup event listeners
         this.setupEventListeners();
         
-        // Handle WebSocket messages
-        this.wsClient.onMessage = this.handleWebSocketMessage.bind(this);
-        
         // Start animation loop for FPS
         this.startAnimationLoop();
     }
@@ -46,6 +144,14 @@ class CollaborativeDrawingApp {
             });
         });
         
+        // The clear tool's confirmation: the button picked is the scope
+        const clearDialog = document.getElementById('clear-dialog');
+        clearDialog.addEventListener('close', () => {
+            if (clearDialog.returnValue === 'all' || clearDialog.returnValue === 'mine') {
+                this.clearCanvas(clearDialog.returnValue);
+            }
+        });
+        
         // Color selection
         document.querySelectorAll('.color-option').forEach(option => {
             option.addEventListener('click', (e) => {
@@ -69,214 +175,1539 @@ class CollaborativeDrawingApp {
             this.canvas.setBrushSize(this.brushSize);
         });
         
+        const toleranceValue = document.getElementById('fill-tolerance-value');
+        document.getElementById('fill-tolerance-slider').addEventListener('input', (e) => {
+            this.fillTolerance = parseInt(e.target.value);
+            toleranceValue.textContent = `${this.fillTolerance}%`;
+        });
+        
+        // Brush type and opacity of new strokes
+        const opacitySlider = document.getElementById('opacity-slider');
+        const opacityValue = document.getElementById('opacity-value');
+        const showOpacity = () => {
+            opacitySlider.value = Math.round(this.canvas.opacity * 100);
+            opacityValue.textContent = `${opacitySlider.value}%`;
+        };
+        
+        document.getElementById('brush-type-select').addEventListener('change', (e) => {
+            this.canvas.setBrush(e.target.value);
+            showOpacity();
+        });
+        opacitySlider.addEventListener('input', (e) => {
+            this.canvas.setOpacity(parseInt(e.target.value) / 100);
+            showOpacity();
+        });
+        
+        document.getElementById('font-size-select').addEventListener('change', (e) => {
+            this.fontSize = parseInt(e.target.value);
+            if (this.textEdit) {
+                this.textEdit.fontSize = this.fontSize;
+                this.positionTextEditor();
+            }
+        });
+        
+        // Inline text editor: Enter commits, Shift+Enter adds a line, Escape cancels
+        const textEditor = document.getElementById('text-editor');
+        textEditor.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.commitTextEditor();
+            } else if (e.key === 'Escape') {
+                this.cancelTextEditor();
+            }
+        });
+        textEditor.addEventListener('input', () => this.fitTextEditor());
+        textEditor.addEventListener('blur', () => this.commitTextEditor());
+        
         // Action buttons
         document.getElementById('undo-btn').addEventListener('click', () => this.undo());
         document.getElementById('redo-btn').addEventListener('click', () => this.redo());
         document.getElementById('export-btn').addEventListener('click', () => this.exportCanvas());
         
+        // Scale only applies to PNG exports
+        const exportFormat = document.getElementById('export-format-select');
+        exportFormat.addEventListener('change', () => {
+            document.getElementById('export-scale-select').disabled = exportFormat.value !== 'png';
+        });
+        
+        const importInput = document.getElementById('import-file-input');
+        document.getElementById('import-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) this.importBoardFile(importInput.files[0]);
+            importInput.value = '';
+        });
+        
+        // View controls
+        document.getElementById('zoom-in-btn').addEventListener('click', () => {
+            this.stopFollowing();
+            this.canvas.zoomBy(ZOOM_STEP);
+        });
+        document.getElementById('zoom-out-btn').addEventListener('click', () => {
+            this.stopFollowing();
+            this.canvas.zoomBy(1 / ZOOM_STEP);
+        });
+        document.getElementById('zoom-reset-btn').addEventListener('click', () => {
+            this.stopFollowing();
+            this.canvas.fitBounds({ x: 0, y: 0, width: BOARD_WIDTH, height: BOARD_HEIGHT }, 0);
+        });
+        document.getElementById('fit-content-btn').addEventListener('click', () => {
+            this.stopFollowing();
+            this.canvas.fitToContent();
+        });
+        
+        // Follow buttons are recreated with the users list
+        // Layers panel: clicking a row makes it the active layer; its
+        // controls send layer operations
+        const layersList = document.getElementById('layers-list');
+        layersList.addEventListener('click', (e) => {
+            const item = e.target.closest('.layer-item');
+            if (!item) return;
+            const layer = this.scene.getLayer(item.dataset.layerId);
+            const button = e.target.closest('.layer-btn');
+            if (!layer) return;
+            
+            if (!button) {
+                if (!e.target.closest('input')) this.setActiveLayer(layer.id);
+                return;
+            }
+            const index = this.scene.getLayers().indexOf(layer);
+            switch (button.dataset.action) {
+                case 'visible':
+                    this.sendLayerOperation('update', layer.id, { visible: !layer.visible });
+                    break;
+                case 'locked':
+                    this.sendLayerOperation('update', layer.id, { locked: !layer.locked });
+                    break;
+                case 'up':
+                    this.sendLayerOperation('move', layer.id, { index: index + 1 });
+                    break;
+                case 'down':
+                    this.sendLayerOperation('move', layer.id, { index: index - 1 });
+                    break;
+            }
+        });
+        layersList.addEventListener('change', (e) => {
+            const item = e.target.closest('.layer-item');
+            const layer = item && this.scene.getLayer(item.dataset.layerId);
+            if (!layer) return;
+            
+            if (e.target.classList.contains('layer-name')) {
+                const name = e.target.value.trim().slice(0, MAX_LAYER_NAME);
+                if (name && name !== layer.name) {
+                    this.sendLayerOperation('update', layer.id, { name });
+                } else {
+                    e.target.value = layer.name;
+                }
+            } else if (e.target.classList.contains('layer-opacity')) {
+                this.sendLayerOperation('update', layer.id, { opacity: parseInt(e.target.value) / 100 });
+            }
+        });
+        layersList.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('layer-name')) e.target.blur();
+        });
+        document.getElementById('add-layer-btn').addEventListener('click', () => {
+            const name = `Layer ${this.scene.getLayers().length + 1}`;
+            this.sendLayerOperation('add', this.generateId('layer'), { name });
+        });
+        
+        document.getElementById('users-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.follow-btn');
+            if (button) this.toggleFollow(button.dataset.userId);
+            
+            const kick = e.target.closest('.kick-btn');
+            const user = kick && this.users.get(kick.dataset.userId);
+            if (user && confirm(`Remove ${user.name} from this room? They will need a new invite to come back.`)) {
+                // Under a new identity they could come back as anyone new
+                const inviteOnly = !this.roomAccess.inviteOnly && confirm('Let only people with an invite link join from now on? ' +
+                    'Otherwise they can come back as a new user. You can change this under Room Access.');
+                this.wsClient.send({ type: 'kick', userId: user.id, inviteOnly });
+            }
+        });
+        
+        // Room access settings (the owner's panel)
+        document.getElementById('invite-editor-btn').addEventListener('click', () => {
+            this.wsClient.send({ type: 'invite', role: 'editor' });
+        });
+        document.getElementById('invite-viewer-btn').addEventListener('click', () => {
+            this.wsClient.send({ type: 'invite', role: 'viewer' });
+        });
+        document.getElementById('default-role-select').addEventListener('change', (e) => {
+            this.wsClient.send({ type: 'access', defaultRole: e.target.value });
+        });
+        document.getElementById('lock-board-check').addEventListener('change', (e) => {
+            this.wsClient.send({ type: 'access', locked: e.target.checked });
+        });
+        document.getElementById('owner-clear-check').addEventListener('change', (e) => {
+            this.wsClient.send({ type: 'access', ownerOnlyClear: e.target.checked });
+        });
+        document.getElementById('invite-only-check').addEventListener('change', (e) => {
+            this.wsClient.send({ type: 'access', inviteOnly: e.target.checked });
+        });
+        const passwordInput = document.getElementById('room-password-input');
+        document.getElementById('set-password-btn').addEventListener('click', () => {
+            if (passwordInput.value.length < 4) {
+                this.showNotification('Passwords need at least 4 characters');
+                return;
+            }
+            this.wsClient.send({ type: 'access', password: passwordInput.value });
+            passwordInput.value = '';
+            this.showNotification('Password set: people without an invite will be asked for it');
+        });
+        document.getElementById('remove-password-btn').addEventListener('click', () => {
+            this.wsClient.send({ type: 'access', password: '' });
+            this.showNotification('Password removed');
+        });
+        document.getElementById('revoke-invites-btn').addEventListener('click', () => {
+            if (confirm('Make every invite link given out so far stop working?')) {
+                this.wsClient.send({ type: 'access', revokeInvites: true });
+                this.showNotification('Invite links revoked');
+            }
+        });
+        
+        // Our display name and color, as the room sees them
+        const nameInput = document.getElementById('display-name-input');
+        nameInput.maxLength = MAX_NAME_LENGTH;
+        nameInput.addEventListener('change', () => {
+            const name = nameInput.value.trim();
+            if (name && name !== this.userName) {
+                this.wsClient.send({ type: 'profile', name });
+            } else {
+                nameInput.value = this.userName;
+            }
+        });
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') nameInput.blur();
+        });
+        document.getElementById('user-color-picker').addEventListener('change', (e) => {
+            this.wsClient.send({ type: 'profile', color: e.target.value.toUpperCase() });
+        });
+        
+        // Hold space to drag the view with the left button
+        window.addEventListener('keydown', (e) => {
+            if (e.code !== 'Space' || this.isTypingTarget(e.target)) return;
+            e.preventDefault();
+            this.spaceHeld = true;
+            this.canvas.canvas.classList.add('pan-mode');
+        });
+        window.addEventListener('keydown', (e) => {
+            if (this.isTypingTarget(e.target)) return;
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.selection.size > 0) {
+                e.preventDefault();
+                this.deleteSelection();
+            } else if (e.key === 'Escape') {
+                this.clearSelection();
+            }
+        });
+        window.addEventListener('keyup', (e) => {
+            if (e.code !== 'Space') return;
+            this.spaceHeld = false;
+            this.canvas.canvas.classList.remove('pan-mode');
+        });
+        
+        // The board is rescaled on resize (the canvas listens first), so move cursors with it
+        window.addEventListener('resize', () => this.repositionCursors());
+        document.getElementById('switch-room-btn').addEventListener('click', () => {
+            const roomId = prompt('Join room:', this.roomId);
+            if (roomId) this.switchRoom(roomId.trim());
+        });
+        
+        // Browser back/forward between room links
+        window.addEventListener('popstate', () => {
+            const roomId = this.getRoomIdFromUrl();
+            if (roomId !== this.roomId) {
+                this.roomId = roomId;
+                this.stateId = null;
+                this.invite = new URLSearchParams(window.location.search).get('invite');
+                this.roomPassword = null;
+                this.sendJoin();
+            }
+        });
+        
         // Canvas events
         const canvas = this.canvas.canvas;
         
-        canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-        canvas.addEventListener('mousemove', (e) => this.draw(e));
-        canvas.addEventListener('mouseup', () => this.stopDrawing());
-        canvas.addEventListener('mouseleave', () => this.stopDrawing());
+        // Mouse, pen and touch all arrive as pointer events
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
         
-        // Touch events for mobile
-        canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            this.startDrawing(e.touches[0]);
+        // Keep focus in the text editor we are about to open
+        canvas.addEventListener('mousedown', (e) => {
+            if (this.currentTool === 'text') e.preventDefault();
         });
         
-        canvas.addEventListener('touchmove', (e) => {
+        // Images dropped on the board land where they are dropped; pasted
+        // ones in the middle of the view
+        canvas.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        canvas.addEventListener('drop', (e) => {
             e.preventDefault();
-            this.draw(e.touches[0]);
+            const at = this.canvas.toBoard(e.clientX, e.clientY);
+            for (const file of e.dataTransfer.files) this.importImage(file, at);
+        });
+        window.addEventListener('paste', (e) => {
+            if (this.isTypingTarget(e.target)) return;
+            const files = [...e.clipboardData.files].filter(file => file.type.startsWith('image/'));
+            if (files.length === 0) return;
+            e.preventDefault();
+            const view = this.canvas.getVisibleBounds();
+            const at = { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+            files.forEach(file => this.importImage(file, at));
         });
         
-        canvas.addEventListener('touchend', (e) => {
+        // Wheel zooms around the pointer (trackpad pinches arrive as ctrl+wheel)
+        canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
+            this.stopFollowing();
+            this.canvas.zoomAt(e.clientX, e.clientY, Math.exp(-e.deltaY * 0.0015));
+        }, { passive: false });
+    }
+    
+    handlePointerDown(e) {
+        // One finger draws, two fingers pan and zoom
+        if (e.pointerType === 'touch') {
+            this.touches.set(e.pointerId, e);
+            if (this.touches.size === 2) {
+                this.stopDrawing();
+                this.startPinch();
+                return;
+            }
+            if (this.pinch || this.touches.size > 2) return;
+        }
+        
+        // Keep receiving this pointer's events when it leaves the canvas
+        this.canvas.canvas.setPointerCapture(e.pointerId);
+        
+        // Middle button, or left button with space held (or when we can't
+        // draw), drags the view
+        if (e.button === 1 || (e.button === 0 && (this.spaceHeld || !this.canEdit()))) {
+            e.preventDefault();
+            this.startPan(e);
+        } else if (e.button === 0 && !this.isDrawing) {
+            this.activePointerId = e.pointerId;
+            this.startDrawing(e);
+        }
+        this.sendCursor(e);
+    }
+    
+    handlePointerMove(e) {
+        if (this.touches.has(e.pointerId)) {
+            this.touches.set(e.pointerId, e);
+            if (this.pinch) {
+                this.movePinch();
+                return;
+            }
+        }
+        
+        if (this.panning) {
+            this.pan(e);
+        } else if (this.isDrawing && e.pointerId === this.activePointerId) {
+            // Fast pens deliver several samples per event; use them all
+            const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+            for (const sample of samples.length > 0 ? samples : [e]) {
+                this.draw(sample);
+            }
+        }
+        this.sendCursor(e);
+    }
+    
+    handlePointerUp(e) {
+        if (this.touches.delete(e.pointerId) && this.touches.size === 0) {
+            // The gesture is over once every finger has lifted
+            this.pinch = null;
+        }
+        
+        this.panning = null;
+        if (e.pointerId === this.activePointerId) {
+            this.activePointerId = null;
+            this.stopDrawing();
+        }
+    }
+    
+    // At most one cursor update per CURSOR_SEND_INTERVAL, with the latest position
+    sendCursor(e) {
+        this.cursorPosition = this.canvas.toBoard(e.clientX, e.clientY);
+        if (this.cursorTimer) return;
+        
+        this.cursorTimer = setTimeout(() => {
+            this.cursorTimer = null;
+            const { x, y } = this.cursorPosition;
+            this.wsClient.send({
+                type: 'cursor',
+                data: { x, y }
+            });
+        }, CURSOR_SEND_INTERVAL);
+    }
+    
+    // A stroke sample in board units, with pen pressure (p) and tilt (tx, ty)
+    // when the pointer reports them
+    toStrokePoint(e) {
+        const point = this.canvas.toBoard(e.clientX, e.clientY);
+        if (e.pointerType === 'pen') {
+            point.p = Math.round(e.pressure * 100) / 100;
+            if (e.tiltX || e.tiltY) {
+                point.tx = e.tiltX;
+                point.ty = e.tiltY;
+            }
+        }
+        return point;
+    }
+    
+    isTypingTarget(target) {
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+    
+    startPan(e) {
+        this.stopFollowing();
+        this.panning = { x: e.clientX, y: e.clientY };
+    }
+    
+    pan(e) {
+        this.canvas.panBy(e.clientX - this.panning.x, e.clientY - this.panning.y);
+        this.panning = { x: e.clientX, y: e.clientY };
+    }
+    
+    getPinch() {
+        const [a, b] = this.touches.values();
+        return {
+            x: (a.clientX + b.clientX) / 2,
+            y: (a.clientY + b.clientY) / 2,
+            distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)
+        };
+    }
+    
+    startPinch() {
+        this.stopFollowing();
+        this.pinch = this.getPinch();
+    }
+    
+    // Zoom by the change in finger distance and pan with the midpoint
+    movePinch() {
+        const next = this.getPinch();
+        if (this.pinch.distance > 0) {
+            this.canvas.zoomAt(next.x, next.y, next.distance / this.pinch.distance);
+        }
+        this.canvas.panBy(next.x - this.pinch.x, next.y - this.pinch.y);
+        this.pinch = next;
+    }
+    
+    handleViewChange() {
+        this.repositionCursors();
+        this.positionTextEditor();
+        document.getElementById('zoom-level').textContent = `${Math.round(this.canvas.view.scale * 100)}%`;
+        this.queueViewportUpdate();
+    }
+    
+    // Share what we are looking at, so others can follow us
+    queueViewportUpdate() {
+        if (this.viewportTimer || !this.userId) return;
+        
+        this.viewportTimer = setTimeout(() => {
+            this.viewportTimer = null;
+            const { x, y, width, height } = this.canvas.getVisibleBounds();
+            this.wsClient.send({
+                type: 'viewport',
+                data: {
+                    x: Math.round(x),
+                    y: Math.round(y),
+                    width: Math.round(width),
+                    height: Math.round(height)
+                }
+            });
+        }, VIEWPORT_SEND_INTERVAL);
+    }
+    
+    toggleFollow(userId) {
+        if (this.followingUserId === userId) {
+            this.stopFollowing();
+            return;
+        }
+        
+        const user = this.users.get(userId);
+        if (!user) return;
+        
+        this.followingUserId = userId;
+        if (user.viewport) this.canvas.fitBounds(user.viewport, 0);
+        this.updateUsersList(Array.from(this.users.values()));
+        this.showNotification(`Following ${user.name}`);
+    }
+    
+    stopFollowing() {
+        if (!this.followingUserId) return;
+        
+        this.followingUserId = null;
+        this.updateUsersList(Array.from(this.users.values()));
+    }
+    
+    handleRemoteViewport(userId, viewport) {
+        const user = this.users.get(userId);
+        if (!user) return;
+        
+        user.viewport = viewport;
+        if (this.followingUserId === userId) {
+            this.canvas.fitBounds(viewport, 0);
+        }
+    }
+    
+    getRoomIdFromUrl() {
+        const match = window.location.pathname.match(/^\/r\/([A-Za-z0-9_-]{1,64})\/?$/);
+        return match ? match[1] : 'lobby';
+    }
+    
+    switchRoom(roomId) {
+        if (!/^[A-Za-z0-9_-]{1,64}$/.test(roomId)) {
+            this.showNotification('Room names may only use letters, numbers, - and _');
+            return;
+        }
+        if (roomId === this.roomId) return;
+        
+        this.roomId = roomId;
+        this.stateId = null;
+        this.invite = null;
+        this.roomPassword = null;
+        window.history.pushState({}, '', `/r/${roomId}`);
+        this.sendJoin();
+    }
+    
+    // (Re)join our room with whatever lets us in
+    sendJoin() {
+        this.wsClient.send({
+            type: 'join',
+            roomId: this.roomId,
+            since: this.stateId ? { stateId: this.stateId, version: this.lastVersion } : null,
+            invite: this.invite,
+            password: this.roomPassword
+        });
+    }
+    
+    askRoomPassword(reason) {
+        const password = prompt(`${reason}. Password for room "${this.roomId}":`);
+        if (password) {
+            this.roomPassword = password;
+            this.sendJoin();
+        } else {
+            this.showNotification(`Not joined: room "${this.roomId}" needs a password`);
+        }
+    }
+    
+    // Owners draw; editors too unless the board is locked
+    canEdit() {
+        return this.role === 'owner' || (this.role === 'editor' && !this.roomAccess.locked);
+    }
+    
+    // Editors may always clear their own drawings, the whole board only if
+    // the owner allows it
+    canClearAll() {
+        return this.role === 'owner' || (this.canEdit() && !this.roomAccess.ownerOnlyClear);
+    }
+    
+    // Check before sending a change, so it isn't rejected by the server
+    requireEdit() {
+        if (this.canEdit()) return true;
+        
+        this.showNotification(this.roomAccess.locked ? 'The board is locked' : 'You can only view this board');
+        return false;
+    }
+    
+    // Show our role and the room's settings; drop any gesture we may no longer finish
+    updateAccess() {
+        const editable = this.canEdit();
+        document.body.classList.toggle('view-only', !editable);
+        if (!editable) {
             this.stopDrawing();
+            this.cancelTextEditor();
+            this.clearSelection();
+        }
+        
+        document.getElementById('access-section').hidden = this.role !== 'owner';
+        document.getElementById('lock-board-check').checked = this.roomAccess.locked;
+        document.getElementById('owner-clear-check').checked = this.roomAccess.ownerOnlyClear;
+        document.getElementById('invite-only-check').checked = this.roomAccess.inviteOnly;
+        document.getElementById('default-role-select').value = this.roomAccess.defaultRole;
+        document.getElementById('room-password-input').placeholder =
+            this.roomAccess.hasPassword ? 'Change password' : 'No password';
+        document.getElementById('remove-password-btn').hidden = !this.roomAccess.hasPassword;
+        this.updateOperationCount();
+    }
+    
+    setTool(tool) {
+        this.currentTool = tool;
+        
+        // Update UI
+        document.querySelectorAll('.tool-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        document.querySelector(`.tool-btn[data-tool="${tool}"]`).classList.add('active');
+        this.canvas.canvas.classList.toggle('text-mode', tool === 'text');
+        this.canvas.canvas.classList.toggle('select-mode', tool === 'select');
+        if (tool !== 'select') this.clearSelection();
+        
+        if (tool === 'clear') {
+            this.confirmClear();
+            this.setTool('brush'); // Switch back to brush after clearing
+        } else if (tool === 'eraser') {
+            this.canvas.setTool('eraser');
+        } else {
+            this.canvas.setTool('brush');
+        }
+    }
+    
+    setColor(color) {
+        this.currentColor = color;
+        
+        // Update UI
+        document.querySelectorAll('.color-option').forEach(option => {
+            option.classList.remove('active');
+        });
+        document.querySelector(`.color-option[data-color="${color}"]`)?.classList.add('active');
+        document.getElementById('custom-color-picker').value = color;
+        
+        this.canvas.setColor(color);
+    }
+    
+    startDrawing(e) {
+        if (this.currentTool === 'clear') return;
+        
+        const { x, y } = this.canvas.toBoard(e.clientX, e.clientY);
+        
+        // Everything but selecting changes the active layer
+        const layer = this.scene.getLayer(this.activeLayerId);
+        if (this.currentTool !== 'select' && (!layer.visible || layer.locked)) {
+            this.showNotification(`${layer.name} is ${layer.locked ? 'locked' : 'hidden'}`);
+            return;
+        }
+        
+        if (this.currentTool === 'text') {
+            this.placeText(x, y);
+            return;
+        }
+        if (this.currentTool === 'fill') {
+            this.placeFill(x, y);
+            return;
+        }
+        
+        this.isDrawing = true;
+        if (VECTOR_ERASERS.includes(this.currentTool)) {
+            this.startErase(x, y);
+            return;
+        }
+        if (this.currentTool === 'select') {
+            this.startSelectGesture(x, y, e.shiftKey);
+            return;
+        }
+        if (SHAPE_TOOLS.includes(this.currentTool)) {
+            this.startShape(x, y);
+            return;
+        }
+        
+        // Open a stroke; its points follow in batches until stroke-end
+        const point = this.toStrokePoint(e);
+        this.currentStroke = {
+            strokeId: this.generateId('stroke'),
+            color: this.currentColor,
+            width: this.brushSize,
+            tool: this.currentTool,
+            brush: this.canvas.brush,
+            opacity: this.canvas.opacity,
+            seed: Math.floor(Math.random() * 0x7FFFFFFF), // grain of pencil and spray strokes
+            layerId: this.activeLayerId,
+            points: [point],
+            local: true // drawn in this tab; the user's other tabs get it live like anyone else's
+        };
+        this.scene.setPending(`${this.userId}:${this.currentStroke.strokeId}`, this.currentStroke);
+        
+        this.wsClient.send({
+            type: 'stroke-begin',
+            data: {
+                strokeId: this.currentStroke.strokeId,
+                color: this.currentStroke.color,
+                width: this.currentStroke.width,
+                tool: this.currentStroke.tool,
+                brush: this.currentStroke.brush,
+                opacity: this.currentStroke.opacity,
+                seed: this.currentStroke.seed,
+                layerId: this.currentStroke.layerId,
+                points: [point]
+            }
+        });
+    }
+    
+    // One pointer sample while the pointer is down
+    draw(e) {
+        if (!this.isDrawing) return;
+        
+        const { x, y } = this.canvas.toBoard(e.clientX, e.clientY);
+        
+        if (this.selectGesture) {
+            this.updateSelectGesture(x, y, e.shiftKey);
+            return;
+        }
+        
+        if (this.currentErase) {
+            this.eraseAlong(this.currentErase.last, { x, y });
+            this.currentErase.last = { x, y };
+            return;
+        }
+        
+        if (this.currentShape) {
+            this.updateShape(x, y, e.shiftKey);
+            return;
+        }
+        
+        // Draw the segments this sample completed
+        const point = this.toStrokePoint(e);
+        this.currentStroke.points.push(point);
+        this.canvas.drawStrokeProgress(this.currentStroke);
+        
+        // Queue the point; batches go out every STROKE_FLUSH_INTERVAL ms
+        this.pendingPoints.push(point);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flushStrokePoints(), STROKE_FLUSH_INTERVAL);
+        }
+    }
+    
+    stopDrawing() {
+        if (!this.isDrawing) return;
+        
+        this.isDrawing = false;
+        if (this.currentErase) {
+            this.finishErase();
+            return;
+        }
+        if (this.selectGesture) {
+            this.finishSelectGesture();
+            return;
+        }
+        if (this.currentShape) {
+            this.finishShape();
+            return;
+        }
+        this.canvas.drawStrokeProgress(this.currentStroke, true);
+        
+        this.flushStrokePoints();
+        this.wsClient.send({
+            type: 'stroke-end',
+            data: { strokeId: this.currentStroke.strokeId }
+        });
+        this.currentStroke = null;
+    }
+    
+    flushStrokePoints() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        
+        if (!this.currentStroke) return;
+        
+        for (let i = 0; i < this.pendingPoints.length; i += MAX_BATCH_POINTS) {
+            this.wsClient.send({
+                type: 'stroke-points',
+                data: {
+                    strokeId: this.currentStroke.strokeId,
+                    points: this.pendingPoints.slice(i, i + MAX_BATCH_POINTS)
+                }
+            });
+        }
+        this.pendingPoints = [];
+    }
+    
+    // Shapes are previewed locally only and sent whole when the drag ends
+    startShape(x, y) {
+        this.currentShape = {
+            type: 'shape',
+            shapeId: this.generateId('shape'),
+            shape: this.currentTool,
+            color: this.currentColor,
+            width: this.brushSize,
+            layerId: this.activeLayerId,
+            points: [{ x, y }, { x, y }]
+        };
+        this.scene.setPending(`${this.userId}:${this.currentShape.shapeId}`, this.currentShape);
+    }
+    
+    updateShape(x, y, constrain) {
+        const shape = this.currentShape;
+        const before = Scene.getBounds(shape);
+        
+        shape.points[1] = constrain ? this.constrainShapeEnd(shape.shape, shape.points[0], { x, y }) : { x, y };
+        
+        // Repaint where the rubber band was and where it is now
+        this.canvas.redraw(Scene.union(before, Scene.getBounds(shape)));
+    }
+    
+    // Shift: squares and circles, or lines at multiples of 45°
+    constrainShapeEnd(shape, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const round = (value) => Math.round(value * 100) / 100;
+        
+        if (shape === 'rect' || shape === 'ellipse') {
+            const size = Math.max(Math.abs(dx), Math.abs(dy));
+            return {
+                x: round(start.x + Math.sign(dx || 1) * size),
+                y: round(start.y + Math.sign(dy || 1) * size)
+            };
+        }
+        
+        const step = Math.PI / 4;
+        const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+        const length = Math.hypot(dx, dy);
+        return {
+            x: round(start.x + Math.cos(angle) * length),
+            y: round(start.y + Math.sin(angle) * length)
+        };
+    }
+    
+    finishShape() {
+        const shape = this.currentShape;
+        this.currentShape = null;
+        
+        const [start, end] = shape.points;
+        if (start.x === end.x && start.y === end.y) {
+            // A click without a drag draws nothing
+            this.scene.deletePending(`${this.userId}:${shape.shapeId}`);
+            this.canvas.redraw(Scene.getBounds(shape));
+            return;
+        }
+        
+        // The preview stays pending until the server commits the shape
+        this.wsClient.send({
+            type: 'shape',
+            data: {
+                shapeId: shape.shapeId,
+                shape: shape.shape,
+                color: shape.color,
+                width: shape.width,
+                layerId: shape.layerId,
+                points: shape.points
+            }
+        });
+    }
+    
+    // Vector erasing is previewed locally and sent as one operation on release:
+    // a `delete` of the objects touched, or an `erase` carrying the pieces
+    // left of each cut stroke
+    startErase(x, y) {
+        this.currentErase = {
+            mode: this.currentTool,
+            eraseId: this.generateId('erase'),
+            last: { x, y },
+            replacements: new Map() // objectId -> pieces left (none: removed)
+        };
+        this.scene.previewErase = this.currentErase;
+        this.eraseAlong({ x, y }, { x, y });
+    }
+    
+    eraseAlong(a, b) {
+        const { mode, replacements } = this.currentErase;
+        const radius = this.brushSize / 2;
+        const sweep = {
+            x: Math.min(a.x, b.x) - radius,
+            y: Math.min(a.y, b.y) - radius,
+            width: Math.abs(b.x - a.x) + radius * 2,
+            height: Math.abs(b.y - a.y) + radius * 2
+        };
+        let changed = null;
+        
+        for (const op of this.scene.getVisibleOperations()) {
+            const key = Scene.objectKey(op);
+            const bounds = Scene.getBounds(op);
+            if (!bounds || !Scene.intersects(sweep, bounds)) continue;
+            if (!this.isEditable(op) || Scene.layerOf(op) !== this.activeLayerId) continue;
+            
+            if (mode === 'stroke-eraser') {
+                if (replacements.has(key) || !this.segmentHits(op, a, b, radius)) continue;
+                replacements.set(key, []);
+            } else {
+                if (op.type !== 'stroke') continue;
+                const before = replacements.get(key) || [this.toErasablePiece(op)];
+                const after = [];
+                for (const piece of before) {
+                    for (const points of cutPolyline(piece.points, a, b, radius + piece.width / 2)) {
+                        after.push({ ...piece, points });
+                    }
+                }
+                const total = (pieces) => pieces.reduce((sum, piece) => sum + piece.points.length, 0);
+                if (total(after) === total(before)) continue;
+                replacements.set(key, after);
+            }
+            changed = Scene.union(changed, bounds);
+        }
+        
+        if (changed) this.canvas.redraw(changed);
+    }
+    
+    // Whether the eraser segment a-b (of the given radius) touches `op`
+    segmentHits(op, a, b, radius) {
+        const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / Math.max(radius, 1)));
+        for (let i = 0; i <= steps; i++) {
+            const point = { x: a.x + (b.x - a.x) * i / steps, y: a.y + (b.y - a.y) * i / steps };
+            if (Scene.hits(op, point, radius)) return true;
+        }
+        return false;
+    }
+    
+    // A stroke as one piece in board coordinates (its transform baked in),
+    // resampled densely enough to cut precisely
+    toErasablePiece(op) {
+        const matrix = op.matrix || IDENTITY;
+        const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+        const width = op.width * scale;
+        const points = resamplePolyline(op.points.map(point => (point.p === undefined
+            ? applyMatrix(matrix, point)
+            : { ...applyMatrix(matrix, point), p: point.p })), Math.max(1, width / 4));
+        return {
+            type: 'stroke',
+            tool: 'brush',
+            color: op.color,
+            width,
+            brush: op.brush,
+            opacity: op.opacity,
+            seed: op.seed,
+            points
+        };
+    }
+    
+    finishErase() {
+        const erase = this.currentErase;
+        this.currentErase = null;
+        
+        if (erase.replacements.size === 0) {
+            this.scene.previewErase = null;
+            return;
+        }
+        
+        // The preview stays until the server commits the operation
+        const targets = [...erase.replacements.keys()];
+        if (erase.mode === 'stroke-eraser') {
+            this.wsClient.send({
+                type: 'delete',
+                data: { eraseId: erase.eraseId, targets }
+            });
+            return;
+        }
+        
+        // The pieces go first, in batches of points; a target without any is
+        // erased entirely
+        const round = (value) => Math.round(value * 100) / 100;
+        for (const target of targets) {
+            erase.replacements.get(target).forEach((piece, index) => {
+                const points = piece.points.map(point => {
+                    const rounded = { x: round(point.x), y: round(point.y) };
+                    if (point.p !== undefined) rounded.p = round(point.p);
+                    return rounded;
+                });
+                for (let i = 0; i < points.length; i += MAX_BATCH_POINTS) {
+                    this.wsClient.send({
+                        type: 'erase-points',
+                        data: {
+                            eraseId: erase.eraseId,
+                            target,
+                            piece: index,
+                            color: piece.color,
+                            width: round(piece.width),
+                            brush: piece.brush,
+                            opacity: piece.opacity,
+                            seed: piece.seed,
+                            points: points.slice(i, i + MAX_BATCH_POINTS)
+                        }
+                    });
+                }
+            });
+        }
+        this.wsClient.send({
+            type: 'erase',
+            data: { eraseId: erase.eraseId, targets }
+        });
+    }
+    
+    // Clicking an object selects it (Shift toggles it in the selection) and
+    // starts moving the selection; the handles scale and rotate it; dragging
+    // on empty board draws a selection box
+    startSelectGesture(x, y, additive) {
+        const start = { x, y };
+        const bounds = this.getSelectionBounds();
+        
+        if (bounds) {
+            const screen = this.canvas.toScreen(x, y);
+            const chrome = this.getSelectionChrome(bounds);
+            const near = (handle) => Math.hypot(handle.x - screen.x, handle.y - screen.y) <= HANDLE_SIZE;
+            
+            if (near(chrome.rotateHandle)) {
+                this.selectGesture = { mode: 'rotate', bounds, start, matrix: null };
+                return;
+            }
+            const corner = chrome.handles.findIndex(near);
+            if (corner !== -1) {
+                this.selectGesture = { mode: 'scale', bounds, start, corner, matrix: null };
+                return;
+            }
+        }
+        
+        const hit = this.scene.hitTest(x, y, SELECT_TOLERANCE / this.canvas.view.scale, op => this.isEditable(op));
+        if (hit) {
+            const key = Scene.objectKey(hit);
+            if (additive && this.selection.has(key)) {
+                this.selection.delete(key);
+                this.drawSelection();
+                return;
+            }
+            if (!additive && !this.selection.has(key)) this.selection.clear();
+            this.selection.add(key);
+            this.selectGesture = { mode: 'move', bounds: this.getSelectionBounds(), start, matrix: null };
+        } else if (bounds && !additive && x >= bounds.x && x <= bounds.x + bounds.width &&
+            y >= bounds.y && y <= bounds.y + bounds.height) {
+            // Dragging anywhere inside the box moves the selection
+            this.selectGesture = { mode: 'move', bounds, start, matrix: null };
+        } else {
+            if (!additive) this.selection.clear();
+            this.selectGesture = { mode: 'marquee', start, end: start };
+        }
+        this.drawSelection();
+    }
+    
+    updateSelectGesture(x, y, constrain) {
+        const gesture = this.selectGesture;
+        const { bounds, start } = gesture;
+        
+        switch (gesture.mode) {
+            case 'marquee':
+                gesture.end = { x, y };
+                this.drawSelection();
+                return;
+                
+            case 'move':
+                gesture.matrix = [1, 0, 0, 1, x - start.x, y - start.y];
+                break;
+                
+            case 'scale': {
+                // Scale from the opposite corner; Shift keeps the proportions
+                const corners = this.getBoundsCorners(bounds);
+                const anchor = corners[(gesture.corner + 2) % 4];
+                const dragged = corners[gesture.corner];
+                let sx = (x - anchor.x) / (dragged.x - anchor.x);
+                let sy = (y - anchor.y) / (dragged.y - anchor.y);
+                if (constrain) {
+                    const scale = Math.max(Math.abs(sx), Math.abs(sy));
+                    sx = (Math.sign(sx) || 1) * scale;
+                    sy = (Math.sign(sy) || 1) * scale;
+                }
+                sx = (Math.sign(sx) || 1) * Math.max(MIN_SCALE, Math.abs(sx));
+                sy = (Math.sign(sy) || 1) * Math.max(MIN_SCALE, Math.abs(sy));
+                gesture.matrix = aroundPoint(anchor, [sx, 0, 0, sy, 0, 0]);
+                break;
+            }
+                
+            case 'rotate': {
+                // Rotate around the center; Shift snaps to 15° steps
+                const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+                let angle = Math.atan2(y - center.y, x - center.x) - Math.atan2(start.y - center.y, start.x - center.x);
+                if (constrain) {
+                    const step = Math.PI / 12;
+                    angle = Math.round(angle / step) * step;
+                }
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                gesture.matrix = aroundPoint(center, [cos, sin, -sin, cos, 0, 0]);
+                break;
+            }
+        }
+        
+        // Preview on the board; the overlay follows in the repaint
+        this.scene.previewTransform = { targets: new Set(this.selection), matrix: gesture.matrix };
+        this.canvas.scheduleRedraw();
+    }
+    
+    finishSelectGesture() {
+        const gesture = this.selectGesture;
+        this.selectGesture = null;
+        
+        if (gesture.mode === 'marquee') {
+            const box = {
+                x: Math.min(gesture.start.x, gesture.end.x),
+                y: Math.min(gesture.start.y, gesture.end.y),
+                width: Math.abs(gesture.end.x - gesture.start.x),
+                height: Math.abs(gesture.end.y - gesture.start.y)
+            };
+            for (const op of this.scene.findInside(box, op => this.isEditable(op))) {
+                this.selection.add(Scene.objectKey(op));
+            }
+            this.drawSelection();
+            return;
+        }
+        
+        const moved = gesture.matrix && gesture.matrix.some((value, i) => value !== IDENTITY[i]);
+        if (!moved) {
+            this.scene.previewTransform = null;
+            this.canvas.scheduleRedraw();
+            return;
+        }
+        
+        // The preview stays until the server commits the transform
+        const transformId = this.generateId('transform');
+        this.scene.previewTransform.transformId = transformId;
+        this.wsClient.send({
+            type: 'transform',
+            data: {
+                transformId,
+                targets: [...this.selection],
+                matrix: gesture.matrix
+            }
+        });
+    }
+    
+    deleteSelection() {
+        if (!this.requireEdit()) return;
+        
+        this.wsClient.send({
+            type: 'delete',
+            data: { targets: [...this.selection] }
+        });
+        this.clearSelection();
+    }
+    
+    clearSelection() {
+        this.selection.clear();
+        this.drawSelection();
+    }
+    
+    getSelectionBounds() {
+        let bounds = null;
+        for (const op of this.scene.getVisibleOperations()) {
+            if (this.selection.has(Scene.objectKey(op))) {
+                bounds = Scene.union(bounds, Scene.getBounds(op));
+            }
+        }
+        return bounds;
+    }
+    
+    // Clockwise from the top-left
+    getBoundsCorners(bounds) {
+        return [
+            { x: bounds.x, y: bounds.y },
+            { x: bounds.x + bounds.width, y: bounds.y },
+            { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+            { x: bounds.x, y: bounds.y + bounds.height }
+        ];
+    }
+    
+    // Outline and handles of the selection box in screen pixels, with a
+    // transform being dragged applied
+    getSelectionChrome(bounds, matrix = IDENTITY) {
+        const corners = this.getBoundsCorners(bounds)
+            .map(corner => applyMatrix(matrix, corner))
+            .map(corner => this.canvas.toScreen(corner.x, corner.y));
+        
+        // The rotate handle sticks out of the middle of the (rotated) top edge
+        const top = { x: (corners[0].x + corners[1].x) / 2, y: (corners[0].y + corners[1].y) / 2 };
+        const center = { x: (corners[0].x + corners[2].x) / 2, y: (corners[0].y + corners[2].y) / 2 };
+        const length = Math.hypot(top.x - center.x, top.y - center.y) || 1;
+        
+        return {
+            outline: corners,
+            handles: corners,
+            rotateHandle: {
+                x: top.x + (top.x - center.x) / length * ROTATE_HANDLE_OFFSET,
+                y: top.y + (top.y - center.y) / length * ROTATE_HANDLE_OFFSET
+            }
+        };
+    }
+    
+    drawSelection() {
+        // Drop selected objects that are gone (deleted, undone, cleared)
+        const visible = new Set(this.scene.getVisibleOperations().map(op => Scene.objectKey(op)));
+        for (const key of this.selection) {
+            if (!visible.has(key)) this.selection.delete(key);
+        }
+        
+        const gesture = this.selectGesture;
+        let marquee = null;
+        if (gesture && gesture.mode === 'marquee') {
+            const a = this.canvas.toScreen(gesture.start.x, gesture.start.y);
+            const b = this.canvas.toScreen(gesture.end.x, gesture.end.y);
+            marquee = {
+                x: Math.min(a.x, b.x),
+                y: Math.min(a.y, b.y),
+                width: Math.abs(b.x - a.x),
+                height: Math.abs(b.y - a.y)
+            };
+        }
+        
+        const bounds = gesture && gesture.bounds ? gesture.bounds : this.getSelectionBounds();
+        const preview = this.scene.previewTransform;
+        const matrix = (gesture && gesture.matrix) || (preview && preview.matrix) || IDENTITY;
+        this.canvas.drawSelection({
+            ...(bounds ? this.getSelectionChrome(bounds, matrix) : {}),
+            marquee
+        });
+    }
+    
+    // Objects on locked layers can't be selected, erased or edited
+    isEditable(op) {
+        return isSelectable(op) && !this.scene.getLayer(Scene.layerOf(op)).locked;
+    }
+    
+    setActiveLayer(layerId) {
+        this.activeLayerId = layerId;
+        this.updateLayersPanel();
+    }
+    
+    // Layer structure changes are history operations like drawing: they are
+    // shared with the room, replayed for late joiners and undoable
+    sendLayerOperation(action, layerId, changes) {
+        if (!this.requireEdit()) return;
+        
+        this.wsClient.send({
+            type: 'layer',
+            data: { action, layerId, ...changes }
         });
+    }
+    
+    // Fills are sent only if the area clicked is enclosed; the region itself
+    // is never sent, every client computes it from the scene
+    placeFill(x, y) {
+        // Only objects on the fill's own layer bound it
+        const fill = { x, y, color: this.currentColor, tolerance: this.fillTolerance, layerId: this.activeLayerId };
+        const below = this.scene.getVisibleOperations().filter(op => Scene.layerOf(op) === fill.layerId);
+        if (!computeFillRegion(below, fill)) {
+            this.showNotification('Nothing to fill here: the area is not enclosed');
+            return;
+        }
+        
+        this.wsClient.send({
+            type: 'fill',
+            data: { fillId: this.generateId('fill'), ...fill }
+        });
+    }
+    
+    // Images are uploaded to the room first; the `image` operation that places
+    // them (centered on board point `at`) only names the stored file
+    async importImage(file, at) {
+        if (!this.requireEdit()) return;
+        if (!IMAGE_TYPES.includes(file.type)) {
+            this.showNotification('Only PNG and JPEG images can be imported');
+            return;
+        }
+        if (file.size > MAX_IMAGE_BYTES) {
+            this.showNotification(`Images can be at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+            return;
+        }
+        const layer = this.scene.getLayer(this.activeLayerId);
+        if (!layer.visible || layer.locked) {
+            this.showNotification(`${layer.name} is ${layer.locked ? 'locked' : 'hidden'}`);
+            return;
+        }
+        
+        const roomId = this.roomId;
+        let size, imageId;
+        try {
+            const bitmap = await createImageBitmap(file);
+            size = { width: bitmap.width, height: bitmap.height };
+            bitmap.close();
+            imageId = await this.uploadImage(roomId, file);
+        } catch (error) {
+            console.error('Image upload failed:', error);
+            this.showNotification(`Could not import ${file.name || 'the image'}`);
+            return;
+        }
+        if (roomId !== this.roomId) return;
+        
+        // Shrink (never enlarge) to fit the view, one image pixel per board unit at most
+        const view = this.canvas.getVisibleBounds();
+        const scale = Math.min(1, view.width * IMAGE_VIEW_FRACTION / size.width,
+            view.height * IMAGE_VIEW_FRACTION / size.height);
+        const width = size.width * scale;
+        const height = size.height * scale;
         
-        // Window resize
-        window.addEventListener('resize', () => {
-            this.canvas.resize();
+        this.wsClient.send({
+            type: 'image',
+            data: {
+                placeId: this.generateId('image'),
+                imageId,
+                x: at.x - width / 2,
+                y: at.y - height / 2,
+                width,
+                height,
+                layerId: this.activeLayerId
+            }
         });
     }
     
-    setTool(tool) {
-        this.currentTool = tool;
-        
-        // Update UI
-        document.querySelectorAll('.tool-btn').forEach(btn => {
-            btn.classList.remove('active');
+    // Store a PNG/JPEG blob in the room; resolves to its imageId. Only a
+    // connection in the room may upload, so this needs to be connected.
+    async uploadImage(roomId, blob) {
+        const response = await fetch(`/r/${roomId}/images`, {
+            method: 'POST',
+            headers: { 'Content-Type': blob.type, 'X-Upload-Token': this.wsClient.uploadToken },
+            body: blob
         });
-        document.querySelector(`.tool-btn[data-tool="${tool}"]`).classList.add('active');
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        return result.imageId;
+    }
+    
+    // Clicking a text edits it; clicking elsewhere starts a new one
+    placeText(x, y) {
+        this.commitTextEditor();
         
-        if (tool === 'clear') {
-            this.clearCanvas();
-            this.setTool('brush'); // Switch back to brush after clearing
-        } else if (tool === 'eraser') {
-            this.canvas.setTool('eraser');
+        const existing = this.scene.findTextAt(x, y);
+        if (existing && this.isEditable(existing)) {
+            this.openTextEditor(existing.x, existing.y, existing);
         } else {
-            this.canvas.setTool('brush');
+            this.openTextEditor(x, y, null);
         }
     }
     
-    setColor(color) {
-        this.currentColor = color;
+    openTextEditor(x, y, existing) {
+        this.textEdit = {
+            x,
+            y,
+            objectId: existing ? Scene.objectKey(existing) : null,
+            fontSize: existing ? existing.fontSize : this.fontSize,
+            color: existing ? existing.color : this.currentColor,
+            matrix: (existing && existing.matrix) || null,
+            layerId: existing ? Scene.layerOf(existing) : this.activeLayerId,
+            original: existing
+        };
         
-        // Update UI
-        document.querySelectorAll('.color-option').forEach(option => {
-            option.classList.remove('active');
-        });
-        document.querySelector(`.color-option[data-color="${color}"]`)?.classList.add('active');
-        document.getElementById('custom-color-picker').value = color;
+        // The committed text is hidden while its editor shows it
+        if (existing) {
+            this.scene.editingObjectId = this.textEdit.objectId;
+            this.canvas.redraw(Scene.getBounds(existing));
+        }
         
-        this.canvas.setColor(color);
+        const editor = document.getElementById('text-editor');
+        editor.value = existing ? existing.text : '';
+        editor.hidden = false;
+        this.positionTextEditor();
+        editor.focus();
     }
     
-    startDrawing(e) {
-        if (this.currentTool === 'clear') return;
-        
-        const rect = this.canvas.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        
-        this.isDrawing = true;
-        this.canvas.startDrawing(x, y);
-        
-        // Send cursor position
-        this.wsClient.send({
-            type: 'cursor',
-            data: { x, y }
-        });
+    // Place the editor over the text's board position at the current zoom
+    positionTextEditor() {
+        if (!this.textEdit) return;
+        
+        const { x, y, fontSize, color, matrix } = this.textEdit;
+        const editor = document.getElementById('text-editor');
+        
+        // A moved or scaled text is edited where it is shown (unrotated)
+        const anchor = matrix ? applyMatrix(matrix, { x, y }) : { x, y };
+        const zoom = matrix ? Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])) : 1;
+        const screen = this.canvas.toScreen(anchor.x, anchor.y);
+        const size = fontSize * zoom * this.canvas.view.scale;
+        
+        editor.style.left = `${this.canvas.canvas.offsetLeft + screen.x}px`;
+        editor.style.top = `${this.canvas.canvas.offsetTop + screen.y}px`;
+        editor.style.font = `${size}px/${TEXT_LINE_HEIGHT} ${TEXT_FONT}`;
+        editor.style.color = color;
+        this.fitTextEditor();
     }
     
-    draw(e) {
-        if (!this.isDrawing) {
-            // Still send cursor position even when not drawing
-            const rect = this.canvas.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            this.wsClient.send({
-                type: 'cursor',
-                data: { x, y }
-            });
+    // Grow the editor with its content
+    fitTextEditor() {
+        const editor = document.getElementById('text-editor');
+        editor.style.width = '0';
+        editor.style.height = '0';
+        editor.style.width = `${editor.scrollWidth + 2}px`;
+        editor.style.height = `${editor.scrollHeight + 2}px`;
+    }
+    
+    commitTextEditor() {
+        if (!this.textEdit) return;
+        
+        const { x, y, objectId, fontSize, color, matrix, layerId, original } = this.textEdit;
+        const text = document.getElementById('text-editor').value.replace(/\s+$/, '');
+        this.closeTextEditor();
+        
+        const unchanged = original
+            ? text === original.text && fontSize === original.fontSize && color === original.color
+            : text === '';
+        if (unchanged) {
+            this.scene.editingObjectId = null;
+            if (original) this.canvas.redraw(Scene.getBounds(original));
             return;
         }
         
-        const rect = this.canvas.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        
-        // Draw locally
-        this.canvas.draw(x, y);
-        
-        // Get the drawn points
-        const points = this.canvas.getCurrentPath();
-        
-        // Send drawing data to server
-        if (points.length > 0) {
-            this.wsClient.send({
-                type: 'draw',
-                data: {
-                    points: points.slice(-2), // Send last 2 points for efficiency
-                    color: this.currentColor,
-                    width: this.brushSize,
-                    tool: this.currentTool
-                }
-            });
-        }
+        // Show it as pending until the server commits it (emptying a text removes it)
+        const textId = this.generateId('text');
+        const preview = { type: 'text', textId, objectId, x, y, text, fontSize, color, layerId };
+        if (matrix) preview.matrix = matrix;
+        this.scene.setPending(`${this.userId}:${textId}`, preview);
+        this.canvas.redraw(Scene.getBounds(preview));
         
-        // Send cursor position
         this.wsClient.send({
-            type: 'cursor',
-            data: { x, y }
+            type: 'text',
+            data: { textId, objectId, x, y, text, fontSize, color, layerId }
         });
     }
     
-    stopDrawing() {
-        if (!this.isDrawing) return;
+    cancelTextEditor() {
+        if (!this.textEdit) return;
         
-        this.isDrawing = false;
-        this.canvas.stopDrawing();
-        
-        // Add to local history
-        const path = this.canvas.getCurrentPath();
-        if (path.length > 0) {
-            this.operationHistory.push({
-                points: [...path],
-                color: this.currentColor,
-                width: this.brushSize,
-                tool: this.currentTool,
-                timestamp: Date.now()
-            });
-            this.redoHistory = []; // Clear redo history on new operation
-            
-            // Update operation count
-            this.updateOperationCount();
-        }
+        const { original } = this.textEdit;
+        this.closeTextEditor();
+        
+        this.scene.editingObjectId = null;
+        if (original) this.canvas.redraw(Scene.getBounds(original));
+    }
+    
+    closeTextEditor() {
+        this.textEdit = null;
+        const editor = document.getElementById('text-editor');
+        editor.hidden = true;
+        editor.blur();
+    }
+    
+    generateId(prefix) {
+        return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    
+    // Ask before clearing: only our own drawings, or (if we may) everything
+    confirmClear() {
+        if (!this.requireEdit()) return;
+        
+        document.getElementById('clear-all-btn').hidden = !this.canClearAll();
+        const dialog = document.getElementById('clear-dialog');
+        dialog.returnValue = 'cancel';
+        dialog.showModal();
     }
     
-    clearCanvas() {
-        this.canvas.clear();
+    // `scope`: 'all' or 'mine'. The board clears when the broadcast comes
+    // back, and undo brings it back
+    clearCanvas(scope) {
+        if (!this.requireEdit()) return;
         
         this.wsClient.send({
-            type: 'clear'
+            type: 'clear',
+            scope
         });
-        
-        this.showNotification('Canvas cleared');
     }
     
+    // Undo/redo are decided by the server; the canvas changes when the
+    // broadcast comes back, the same way it does for everyone else
     undo() {
-        if (this.operationHistory.length === 0) return;
-        
-        const lastOp = this.operationHistory.pop();
-        this.redoHistory.push(lastOp);
+        if (!this.canUndo || !this.requireEdit()) return;
         
-        // Clear canvas and redraw all operations except the last one
-        this.canvas.clear();
-        
-        // Redraw all operations except undone one
-        for (const op of this.operationHistory) {
-            this.canvas.drawPath(op.points, op.color, op.width, op.tool);
-        }
-        
-        // Send undo to server
         this.wsClient.send({
             type: 'undo'
         });
-        
-        this.updateOperationCount();
-        this.showNotification('Undo performed');
     }
     
     redo() {
-        if (this.redoHistory.length === 0) return;
-        
-        const lastRedo = this.redoHistory.pop();
-        this.operationHistory.push(lastRedo);
+        if (!this.canRedo || !this.requireEdit()) return;
         
-        // Redraw the redone operation
-        this.canvas.drawPath(lastRedo.points, lastRedo.color, lastRedo.width, lastRedo.tool);
-        
-        this.updateOperationCount();
-        this.showNotification('Redo performed');
+        this.wsClient.send({
+            type: 'redo'
+        });
     }
     
-    exportCanvas() {
-        const dataURL = this.canvas.canvas.toDataURL('image/png');
+    // Download the whole board as PNG (at the chosen scale), SVG or a
+    // .flamcanvas board file, optionally on a background color
+    async exportCanvas() {
+        const format = document.getElementById('export-format-select').value;
+        const background = document.getElementById('export-background-check').checked
+            ? document.getElementById('export-background-picker').value
+            : null;
+        
+        let url;
+        try {
+            if (format === 'svg') {
+                const svg = await exportSvg(this.scene, { background });
+                url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            } else if (format === BOARD_FILE_FORMAT) {
+                const board = await exportBoardFile(this.scene);
+                url = URL.createObjectURL(new Blob([board], { type: 'application/json' }));
+            } else {
+                const scale = parseFloat(document.getElementById('export-scale-select').value);
+                url = await this.canvas.exportImage({ scale, background });
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showNotification('Export failed');
+            return;
+        }
+        
         const link = document.createElement('a');
-        link.download = 'collaborative-drawing.png';
-        link.href = dataURL;
+        link.download = `collaborative-drawing.${format}`;
+        link.href = url;
         link.click();
+        if (url.startsWith('blob:')) {
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }
+        
+        this.showNotification(`Canvas exported as ${format === BOARD_FILE_FORMAT ? 'a board file' : format.toUpperCase()}`);
+    }
+    
+    // Boards are only imported into rooms nothing was drawn in yet: unless
+    // this one is, the board goes into a new room, once its (empty) history
+    // has arrived
+    async importBoardFile(file) {
+        let board;
+        try {
+            board = parseBoardFile(await file.text());
+        } catch (error) {
+            this.showNotification(`Could not import ${file.name}: ${error.message}`);
+            return;
+        }
         
-        this.showNotification('Canvas exported as PNG');
+        const size = new Blob([JSON.stringify({ layers: board.layers, objects: board.objects })]).size;
+        if (size > MAX_BOARD_BYTES) {
+            this.showNotification(`Could not import ${file.name}: the board is too large`);
+            return;
+        }
+        
+        if (this.lastVersion === 0 && !this.pendingHistory) {
+            this.sendBoard(board);
+        } else {
+            this.pendingImport = board;
+            this.switchRoom(this.generateId('board'));
+        }
+    }
+    
+    // Upload the board's images to this room, then the board itself; the
+    // server turns it into operations, which come back as a history delta
+    async sendBoard(board) {
+        const roomId = this.roomId;
+        const imageIds = new Map(); // id in the file -> id in this room
+        try {
+            for (const [imageId, dataUrl] of Object.entries(board.images)) {
+                const blob = await (await fetch(dataUrl)).blob();
+                imageIds.set(imageId, await this.uploadImage(roomId, blob));
+            }
+        } catch (error) {
+            console.error('Board image upload failed:', error);
+            this.showNotification('Could not import the images of the board');
+            return;
+        }
+        if (roomId !== this.roomId) return;
+        
+        const objects = board.objects.map(object => (object && object.type === 'image'
+            ? { ...object, imageId: imageIds.get(object.imageId) }
+            : object));
+        this.awaitingImport = true;
+        try {
+            const response = await fetch(`/r/${roomId}/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Upload-Token': this.wsClient.uploadToken },
+                body: JSON.stringify({ layers: board.layers, objects })
+            });
+            if (!response.ok) throw new Error((await response.json()).error);
+        } catch (error) {
+            this.awaitingImport = false;
+            this.showNotification(`Could not import the board: ${error.message}`);
+        }
     }
     
     handleWebSocketMessage(message) {
+        // Every history-changing broadcast carries its server-assigned version
+        if (message.data && Number.isInteger(message.data.version)) {
+            this.lastVersion = Math.max(this.lastVersion, message.data.version);
+        }
+        
         switch (message.type) {
             case 'welcome':
                 this.handleWelcome(message);
@@ -290,70 +1721,453 @@ class CollaborativeDrawingApp {
                 this.handleUserLeft(message);
                 break;
                 
-            case 'draw':
-                this.handleRemoteDraw(message.data);
+            case 'user-updated':
+                this.handleUserUpdated(message);
+                break;
+                
+            case 'access':
+                this.handleAccessChanged(message);
+                break;
+                
+            case 'invite':
+                this.copyInvite(message);
+                break;
+                
+            case 'kicked':
+                this.showNotification(`You were removed from room "${message.roomId}"`);
+                this.switchRoom('lobby');
+                break;
+                
+            case 'stroke-begin':
+                this.handleRemoteStrokeBegin(message.data);
+                break;
+                
+            case 'stroke-points':
+                this.handleRemoteStrokePoints(message.data);
+                break;
+                
+            case 'shape':
+                this.handleShapeCommitted(message.data);
+                break;
+                
+            case 'text':
+                this.handleTextCommitted(message.data);
+                break;
+                
+            case 'fill':
+                this.handleFillCommitted(message.data);
+                break;
+                
+            case 'image':
+                this.handleImageCommitted(message.data);
+                break;
+                
+            case 'layer':
+                this.handleLayerCommitted(message.data);
+                break;
+                
+            case 'transform':
+            case 'delete':
+            case 'erase':
+                this.handleObjectsChanged(message.data);
+                break;
+                
+            case 'stroke-end':
+                this.handleStrokeCommitted(message.data);
+                break;
+                
+            case 'stroke-cancel':
+                this.handleStrokeCancelled(message.data);
                 break;
                 
             case 'cursor':
                 this.handleRemoteCursor(message.userId, message.data);
                 break;
                 
+            case 'viewport':
+                this.handleRemoteViewport(message.userId, message.data);
+                break;
+                
             case 'clear':
-                this.handleRemoteClear();
+                this.handleRemoteClear(message.data);
                 break;
                 
             case 'undo':
                 this.handleRemoteUndo(message.data);
                 break;
                 
-            case 'history':
-                this.handleHistory(message.operations);
+            case 'redo':
+                this.handleRemoteRedo(message.data);
+                break;
+                
+            case 'undo-state':
+                this.canUndo = message.canUndo;
+                this.canRedo = message.canRedo;
+                this.updateOperationCount();
+                break;
+                
+            case 'error':
+                // Rejected messages are logged by the WebSocket client
+                if (message.code === ERROR_CODES.UNSUPPORTED_VERSION) {
+                    this.showNotification('This page is out of date: reload it to reconnect');
+                } else if (message.code === ERROR_CODES.PASSWORD_REQUIRED) {
+                    this.askRoomPassword(message.message);
+                } else if (message.code === ERROR_CODES.INVALID_INVITE) {
+                    // Try the room without it
+                    this.showNotification(message.message);
+                    this.invite = null;
+                    this.sendJoin();
+                } else if (message.code === ERROR_CODES.FORBIDDEN || message.requestType === 'join') {
+                    this.showNotification(message.message);
+                }
+                break;
+                
+            case 'history-begin':
+                this.pendingHistory = { mode: message.mode, operations: [], undone: message.undone || [] };
+                break;
+                
+            case 'history-chunk':
+                if (this.pendingHistory) {
+                    this.pendingHistory.operations.push(...message.operations);
+                }
+                break;
+                
+            case 'history-end': {
+                const history = this.pendingHistory;
+                if (history) {
+                    this.handleHistory(history.mode, history.operations, history.undone);
+                    this.pendingHistory = null;
+                }
+                this.lastVersion = message.version;
+                
+                if (this.awaitingImport && history && history.mode === 'delta') {
+                    this.awaitingImport = false;
+                    this.canvas.fitToContent();
+                    this.showNotification('Board imported');
+                } else if (this.pendingImport) {
+                    const board = this.pendingImport;
+                    this.pendingImport = null;
+                    if (this.lastVersion === 0) this.sendBoard(board);
+                }
                 break;
+            }
         }
     }
     
     handleWelcome(message) {
         this.userId = message.userId;
-        this.userColor = message.color;
+        this.roomId = message.roomId;
+        this.role = message.role;
+        this.roomAccess = message.access;
+        this.setProfile(message.name, message.color);
+        
+        // The invite made us a member; the room's plain link is enough from now on
+        if (this.invite) {
+            this.invite = null;
+            window.history.replaceState({}, '', `/r/${this.roomId}`);
+        }
+        
+        // Unless we are resuming, start from a blank room; the server sends its history next
+        if (!message.resumed) {
+            this.cancelTextEditor();
+            this.canvas.clear();
+            this.scene.reset();
+            this.scene.pending.clear();
+            this.updateOperationCount();
+            this.updateLayersPanel();
+            this.lastVersion = 0;
+        }
+        this.stateId = message.stateId;
+        this.canUndo = message.canUndo;
+        this.canRedo = message.canRedo;
+        document.getElementById('remote-cursors').innerHTML = '';
+        
+        this.followingUserId = null;
+        this.users.clear();
+        for (const user of message.users) {
+            if (user.id !== this.userId) {
+                this.users.set(user.id, user);
+            }
+        }
         
         // Update UI
-        document.getElementById('user-color-badge').style.backgroundColor = this.userColor;
+        document.getElementById('room-name').textContent = this.roomId;
         this.setColor(this.userColor);
         
         // Update users list
         this.updateUsersList(message.users);
+        this.updateAccess();
         
-        this.showNotification(`Connected as ${this.userId.substring(0, 8)}...`);
+        this.showNotification(`Joined room "${this.roomId}" as ${this.userName} (${this.role})`);
+        
+        // Let the room know where we are looking
+        this.queueViewportUpdate();
     }
     
     handleUserJoined(message) {
         this.users.set(message.userId, {
             id: message.userId,
+            name: message.name,
             color: message.color,
+            role: message.role,
             cursor: { x: 0, y: 0 }
         });
         
         this.updateUsersList(Array.from(this.users.values()));
-        this.showNotification(`User ${message.userId.substring(0, 8)}... joined`);
+        this.showNotification(`${message.name} joined`);
     }
     
     handleUserLeft(message) {
+        const user = this.users.get(message.userId);
+        if (!user) return;
+        
         this.users.delete(message.userId);
+        if (this.followingUserId === message.userId) {
+            this.followingUserId = null;
+        }
         
         // Remove cursor
         const cursor = document.getElementById(`cursor-${message.userId}`);
         if (cursor) cursor.remove();
         
         this.updateUsersList(Array.from(this.users.values()));
-        this.showNotification(`User ${message.userId.substring(0, 8)}... left`);
+        this.showNotification(`${user.name} left`);
+    }
+    
+    // Someone (maybe us) changed their display name or color
+    handleUserUpdated({ userId, name, color }) {
+        if (userId === this.userId) {
+            this.setProfile(name, color);
+        } else {
+            const user = this.users.get(userId);
+            if (!user) return;
+            
+            if (user.name !== name) this.showNotification(`${user.name} is now ${name}`);
+            user.name = name;
+            user.color = color;
+            
+            const cursor = document.getElementById(`cursor-${userId}`);
+            if (cursor) this.labelCursor(cursor, user);
+        }
+        this.updateUsersList(Array.from(this.users.values()));
+    }
+    
+    // The owner changed the room's settings; roles of those present may follow
+    handleAccessChanged({ locked, ownerOnlyClear, inviteOnly, defaultRole, hasPassword, roles }) {
+        if (locked !== this.roomAccess.locked) {
+            this.showNotification(locked ? 'The board is now read-only' : 'The board can be edited again');
+        }
+        this.roomAccess = { locked, ownerOnlyClear, inviteOnly, defaultRole, hasPassword };
+        this.role = roles[this.userId] || this.role;
+        for (const [userId, role] of Object.entries(roles)) {
+            const user = this.users.get(userId);
+            if (user) user.role = role;
+        }
+        
+        this.updateAccess();
+        this.updateUsersList(Array.from(this.users.values()));
+    }
+    
+    // Put a new invite link on the clipboard, or show it when we can't
+    async copyInvite({ role, invite }) {
+        const url = `${window.location.origin}/r/${this.roomId}?invite=${encodeURIComponent(invite)}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showNotification(`${role === 'editor' ? 'Editor' : 'Viewer'} link copied`);
+        } catch (error) {
+            prompt(`${role === 'editor' ? 'Editor' : 'Viewer'} link:`, url);
+        }
+    }
+    
+    // Display name of someone in the room; they may have left since
+    getUserName(userId) {
+        const user = this.users.get(userId);
+        return user ? user.name : 'Someone';
+    }
+    
+    // Show our own name and color, and keep them for the next visit
+    setProfile(name, color) {
+        this.userName = name;
+        this.userColor = color;
+        this.wsClient.updateIdentity({ name, color });
+        
+        document.getElementById('display-name-input').value = name;
+        document.getElementById('user-color-picker').value = color.toLowerCase();
+        document.getElementById('user-color-badge').style.backgroundColor = color;
+    }
+    
+    handleRemoteStrokeBegin(stroke) {
+        this.scene.setPending(`${stroke.userId}:${stroke.strokeId}`, {
+            ...stroke,
+            points: [...stroke.points]
+        });
+    }
+    
+    handleRemoteStrokePoints(data) {
+        const stroke = this.scene.getPending(`${data.userId}:${data.strokeId}`);
+        if (!stroke) return;
+        
+        // Draw only the segments the new points completed
+        stroke.points.push(...data.points);
+        this.canvas.drawStrokeProgress(stroke);
+    }
+    
+    handleStrokeCommitted(operation) {
+        const key = `${operation.userId}:${operation.strokeId}`;
+        const live = this.scene.getPending(key);
+        this.scene.deletePending(key);
+        this.scene.apply(operation);
+        
+        if (live && live.local) {
+            // Already drawn locally
+        } else if (live && live.points.length === operation.points.length) {
+            // Seen whole live: just finish its tail
+            this.canvas.drawStrokeProgress(live, true);
+        } else {
+            // We missed part of it live (e.g. joined mid-stroke): draw it whole
+            this.canvas.redraw(Scene.getBounds(operation));
+        }
+        
+        this.updateOperationCount();
+    }
+    
+    handleShapeCommitted(operation) {
+        this.scene.deletePending(`${operation.userId}:${operation.shapeId}`);
+        this.scene.apply(operation);
+        
+        // Repaint its area so it lands in z-order (and replaces our preview)
+        this.canvas.redraw(Scene.getBounds(operation));
+        this.updateOperationCount();
+    }
+    
+    handleTextCommitted(operation) {
+        this.scene.deletePending(`${operation.userId}:${operation.textId}`);
+        if (operation.objectId && operation.objectId === this.scene.editingObjectId && !this.textEdit) {
+            this.scene.editingObjectId = null;
+        }
+        
+        // The new revision replaces the old one wherever either was
+        this.applyAndRepaint(operation, operation);
+        this.updateOperationCount();
+    }
+    
+    handleFillCommitted(operation) {
+        this.applyAndRepaint(operation, operation);
+        this.updateOperationCount();
+    }
+    
+    handleImageCommitted(operation) {
+        this.applyAndRepaint(operation, operation);
+        this.updateOperationCount();
+    }
+    
+    handleLayerCommitted(operation) {
+        this.scene.apply(operation);
+        
+        if (operation.userId === this.userId) {
+            // A layer we added becomes our active layer
+            if (operation.action === 'add') this.activeLayerId = operation.layerId;
+        }
+        this.handleLayersChanged();
+        this.updateOperationCount();
+    }
+    
+    // The layer stack changed (a layer operation, its undo/redo, a clear or a
+    // history replay): anything can have appeared or gone, so repaint it all
+    handleLayersChanged() {
+        if (!this.scene.getLayer(this.activeLayerId)) {
+            const layers = this.scene.getLayers();
+            this.activeLayerId = layers[layers.length - 1].id;
+        }
+        
+        // Drop the selection if part of it is no longer shown or editable
+        const editable = new Set(this.scene.getVisibleOperations()
+            .filter(op => this.isEditable(op))
+            .map(op => Scene.objectKey(op)));
+        if ([...this.selection].some(key => !editable.has(key))) {
+            this.clearSelection();
+        }
+        
+        this.updateLayersPanel();
+        this.canvas.redraw();
+    }
+    
+    // Top layer first, like the stack looks
+    updateLayersPanel() {
+        const list = document.getElementById('layers-list');
+        list.innerHTML = '';
+        
+        const layers = this.scene.getLayers();
+        for (let i = layers.length - 1; i >= 0; i--) {
+            const layer = layers[i];
+            const item = document.createElement('div');
+            item.className = `layer-item ${layer.id === this.activeLayerId ? 'active' : ''}`;
+            item.dataset.layerId = layer.id;
+            item.innerHTML = `
+                <div class="layer-row">
+                    <button class="layer-btn" data-action="visible" title="${layer.visible ? 'Hide' : 'Show'} layer">
+                        <i class="fas ${layer.visible ? 'fa-eye' : 'fa-eye-slash'}"></i>
+                    </button>
+                    <button class="layer-btn" data-action="locked" title="${layer.locked ? 'Unlock' : 'Lock'} layer">
+                        <i class="fas ${layer.locked ? 'fa-lock' : 'fa-lock-open'}"></i>
+                    </button>
+                    <input class="layer-name" type="text" maxlength="${MAX_LAYER_NAME}">
+                    <button class="layer-btn" data-action="up" title="Move up" ${i === layers.length - 1 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="layer-btn" data-action="down" title="Move down" ${i === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                </div>
+                <input class="layer-opacity" type="range" min="0" max="100" title="Layer opacity">
+            `;
+            // Names come from other users: set them as values, never as markup
+            item.querySelector('.layer-name').value = layer.name;
+            item.querySelector('.layer-opacity').value = Math.round(layer.opacity * 100);
+            list.appendChild(item);
+        }
+    }
+    
+    // Transforms, deletes and erases of existing objects
+    handleObjectsChanged(operation) {
+        const preview = this.scene.previewTransform;
+        if (preview && operation.transformId && preview.transformId === operation.transformId) {
+            this.scene.previewTransform = null;
+        }
+        const erase = this.scene.previewErase;
+        if (erase && operation.eraseId && erase.eraseId === operation.eraseId) {
+            this.scene.previewErase = null;
+        }
+        this.applyAndRepaint(operation, operation);
+        this.updateOperationCount();
     }
     
-    handleRemoteDraw(operation) {
-        // Don't draw our own operations (already drawn locally)
-        if (operation.userId === this.userId) return;
+    // Apply `operation` to the scene and repaint wherever `subject` was or
+    // now is (an object, or the objects a transform/delete acts on)
+    applyAndRepaint(operation, subject) {
+        // Layer changes and clears can reach anything: repaint it all
+        if (subject.type === 'layer' || subject.type === 'clear') {
+            const result = this.scene.apply(operation);
+            this.handleLayersChanged();
+            return result;
+        }
         
-        // Draw the remote operation
-        this.canvas.drawPath(operation.points, operation.color, operation.width, operation.tool);
+        const before = this.scene.getFootprint(subject);
+        const result = this.scene.apply(operation);
+        const bounds = Scene.union(before, this.scene.getFootprint(subject));
+        if (bounds) this.canvas.redraw(bounds);
+        return result;
+    }
+    
+    handleStrokeCancelled(data) {
+        const key = `${data.userId}:${data.strokeId}`;
+        const stroke = this.scene.getPending(key);
+        this.scene.deletePending(key);
+        
+        const bounds = stroke && Scene.getBounds(stroke);
+        if (bounds) {
+            this.canvas.redraw(bounds);
+        }
     }
     
     handleRemoteCursor(userId, position) {
@@ -369,41 +2183,99 @@ class CollaborativeDrawingApp {
             cursor = document.createElement('div');
             cursor.id = `cursor-${userId}`;
             cursor.className = 'remote-cursor';
-            cursor.style.color = user.color;
+            cursor.appendChild(document.createElement('span')).className = 'remote-cursor-label';
+            this.labelCursor(cursor, user);
             document.getElementById('remote-cursors').appendChild(cursor);
         }
         
-        // Convert canvas coordinates to screen coordinates
-        const rect = this.canvas.canvas.getBoundingClientRect();
-        cursor.style.left = `${position.x}px`;
-        cursor.style.top = `${position.y}px`;
-        
-        // Add user ID label on hover
-        cursor.title = userId.substring(0, 8) + '...';
+        this.positionCursor(cursor, position);
+    }
+    
+    // The user's color and name tag next to their cursor
+    labelCursor(cursor, user) {
+        cursor.style.color = user.color;
+        const label = cursor.querySelector('.remote-cursor-label');
+        label.textContent = user.name;
+        label.style.backgroundColor = user.color;
+    }
+    
+    // Cursors travel in board units; place them in this window's pixels
+    positionCursor(cursor, position) {
+        const screen = this.canvas.toScreen(position.x, position.y);
+        cursor.style.left = `${screen.x}px`;
+        cursor.style.top = `${screen.y}px`;
+        
+        // Hide cursors that are panned out of our view
+        const offscreen = screen.x < 0 || screen.y < 0 ||
+            screen.x > this.canvas.canvas.offsetWidth || screen.y > this.canvas.canvas.offsetHeight;
+        cursor.style.display = offscreen ? 'none' : '';
     }
     
-    handleRemoteClear() {
-        this.canvas.clear();
-        this.operationHistory = [];
-        this.redoHistory = [];
+    repositionCursors() {
+        for (const [userId, user] of this.users) {
+            const cursor = document.getElementById(`cursor-${userId}`);
+            if (cursor && user.cursor) {
+                this.positionCursor(cursor, user.cursor);
+            }
+        }
+    }
+    
+    // Strokes still in progress outlive a clear (the server commits them after it)
+    handleRemoteClear(operation) {
+        this.applyAndRepaint(operation, operation);
+        
+        const mine = operation.scope === 'mine';
+        if (operation.userId === this.userId) {
+            this.showNotification(mine ? 'Your drawings were cleared (Undo brings them back)' : 'Board cleared (Undo brings it back)');
+        } else {
+            this.showNotification(`${this.getUserName(operation.userId)} cleared ${mine ? 'their drawings' : 'the board'}`);
+        }
         this.updateOperationCount();
     }
     
     handleRemoteUndo(operation) {
-        // For now, just clear and redraw everything from history
-        // In production, this would be more sophisticated
-        this.showNotification(`User ${operation.userId.substring(0, 8)}... performed undo`);
+        const target = this.scene.byId.get(operation.targetOperationId);
+        if (!target) return;
+        
+        // Rebuild only the area the operation affected, so strokes drawn on top
+        // stay (an earlier revision or position of an object may reappear there)
+        this.applyAndRepaint(operation, target);
+        
+        if (operation.userId !== this.userId) {
+            this.showNotification(`${this.getUserName(operation.userId)} undid a change`);
+        }
+        this.updateOperationCount();
+    }
+    
+    handleRemoteRedo(operation) {
+        const target = this.scene.byId.get(operation.targetOperationId);
+        if (!target) return;
+        
+        // Repaint the region so the stroke returns at its original z-order
+        this.applyAndRepaint(operation, target);
+        
+        if (operation.userId !== this.userId) {
+            this.showNotification(`${this.getUserName(operation.userId)} redid a change`);
+        }
+        this.updateOperationCount();
     }
     
-    handleHistory(operations) {
-        // Draw all historical operations
+    handleHistory(mode, operations, undone) {
+        if (mode === 'snapshot') {
+            this.scene.reset();
+        }
+        
+        // Snapshot operations listed in `undone` arrive hidden but stay redoable
+        const hidden = new Set(undone);
         for (const op of operations) {
-            if (op.type === 'clear') {
-                this.canvas.clear();
-            } else if (op.points) {
-                this.canvas.drawPath(op.points, op.color, op.width, op.tool);
+            this.scene.apply(op);
+            if (hidden.has(op.operationId)) {
+                this.scene.markUndone(op.operationId);
             }
         }
+        
+        this.handleLayersChanged();
+        this.updateOperationCount();
     }
     
     updateUsersList(users) {
@@ -413,7 +2285,9 @@ class CollaborativeDrawingApp {
         // Add current user first
         usersList.appendChild(this.createUserElement({
             id: this.userId,
+            name: this.userName,
             color: this.userColor,
+            role: this.role,
             isCurrentUser: true
         }));
         
@@ -422,31 +2296,56 @@ class CollaborativeDrawingApp {
             usersList.appendChild(this.createUserElement(user));
         });
         
-        // Update user count
-        document.getElementById('user-count').textContent = `${users.length} user${users.length !== 1 ? 's' : ''} online`;
+        // Update user count (others plus ourselves)
+        const count = users.filter(user => user.id !== this.userId).length + 1;
+        document.getElementById('user-count').textContent = `${count} user${count !== 1 ? 's' : ''} online`;
     }
     
     createUserElement(user) {
         const div = document.createElement('div');
         div.className = `user-item ${user.isCurrentUser ? 'user-you' : ''}`;
         
-        div.innerHTML = `
-            <div class="user-color" style="background-color: ${user.color}"></div>
-            <div class="user-name">
-                ${user.isCurrentUser ? 'You' : user.id.substring(0, 8)}...
-            </div>
-        `;
+        // Names are whatever users typed: set as text, never as HTML
+        const color = div.appendChild(document.createElement('div'));
+        color.className = 'user-color';
+        color.style.backgroundColor = user.color;
+        const name = div.appendChild(document.createElement('div'));
+        name.className = 'user-name';
+        name.textContent = user.isCurrentUser ? `${user.name} (you)` : user.name;
+        const role = div.appendChild(document.createElement('span'));
+        role.className = 'user-role';
+        role.textContent = user.role || '';
+        
+        if (!user.isCurrentUser) {
+            const following = this.followingUserId === user.id;
+            const button = document.createElement('button');
+            button.className = `follow-btn ${following ? 'active' : ''}`;
+            button.dataset.userId = user.id;
+            button.title = following ? 'Stop following' : 'Follow this user\'s view';
+            button.innerHTML = '<i class="fas fa-eye"></i>';
+            div.appendChild(button);
+        }
+        
+        // The owner can send anyone else out of the room
+        if (this.role === 'owner' && !user.isCurrentUser && user.role !== 'owner') {
+            const kick = document.createElement('button');
+            kick.className = 'kick-btn';
+            kick.dataset.userId = user.id;
+            kick.title = 'Remove from this room';
+            kick.innerHTML = '<i class="fas fa-user-slash"></i>';
+            div.appendChild(kick);
+        }
         
         return div;
     }
     
     updateOperationCount() {
         document.getElementById('operation-count').textContent = 
-            `Operations: ${this.operationHistory.length}`;
+            `Operations: ${this.scene.getVisibleOperations().length}`;
         
         // Update undo/redo buttons
-        document.getElementById('undo-btn').disabled = this.operationHistory.length === 0;
-        document.getElementById('redo-btn').disabled = this.redoHistory.length === 0;
+        document.getElementById('undo-btn').disabled = !this.canEdit() || !this.canUndo;
+        document.getElementById('redo-btn').disabled = !this.canEdit() || !this.canRedo;
     }
     
     showNotification(message) {
@@ -475,7 +2374,7 @@ class CollaborativeDrawingApp {
                 document.getElementById('fps-counter').textContent = `FPS: ${fps}`;
                 
                 // Update latency display
-                if (this.wsClient.latency) {
+                if (this.wsClient.latency !== null) {
                     document.getElementById('latency-display').textContent = 
                         `Latency: ${Math.round(this.wsClient.latency)}ms`;
                 }
@@ -0,0 +1,195 @@
+// The WebSocket protocol, shared by the client and the server (which imports
+// this module too). Every message is a JSON object with a `type`.
+// CLIENT_MESSAGES describes each message a client may send, field by field;
+// parseClientMessage() checks a message against it and returns a copy with
+// only the fields the schema lists. The server rejects anything else with an
+// `error` message: { type: 'error', code, message, requestType }.
+//
+// A connection starts with a handshake: the client sends
+// { type: 'hello', version, token?, name?, color? } and the server answers
+// with its own `hello`, or with an `unsupported-version` error and a close if
+// it can't speak that version. The reply says who the client is:
+// { type: 'hello', version, userId, token, uploadToken, name, color }. A
+// client that sends back that token on its next connection is the same user
+// again; an unknown or missing token makes a new user. `uploadToken` is for
+// this connection only: image and board uploads to its room send it as X-Upload-Token. PROTOCOL_VERSION goes up with every
+// change older peers can't handle.
+
+export const PROTOCOL_VERSION = 3;
+
+// Largest message the server accepts. Every message the schema allows fits;
+// anything bigger (a board, an image) is uploaded over HTTP instead, and
+// long strokes and erases are sent in batches of MAX_BATCH_POINTS.
+export const MAX_MESSAGE_BYTES = 96 * 1024;
+
+// Points in one stroke or erase message
+export const MAX_BATCH_POINTS = 500;
+
+// Longest display name, in characters
+export const MAX_NAME_LENGTH = 32;
+
+// Close codes the server uses besides the standard ones
+export const CLOSE_CODES = {
+    PROTOCOL_ERROR: 1002, // failed handshake: reconnecting won't help
+    POLICY_VIOLATION: 1008, // too many rejected or rate-limited messages, or no hello in time
+    MESSAGE_TOO_BIG: 1009 // a message over MAX_MESSAGE_BYTES
+};
+
+// `error` message codes
+export const ERROR_CODES = {
+    INVALID_JSON: 'invalid-json',
+    INVALID_MESSAGE: 'invalid-message',
+    UNKNOWN_TYPE: 'unknown-type',
+    HELLO_REQUIRED: 'hello-required',
+    UNSUPPORTED_VERSION: 'unsupported-version',
+    RATE_LIMITED: 'rate-limited',
+    FORBIDDEN: 'forbidden', // the user's role in the room doesn't allow it
+    PASSWORD_REQUIRED: 'password-required', // join again with the room's password
+    INVALID_INVITE: 'invalid-invite' // forged, expired, revoked or from before a kick
+};
+
+// Roles in a room (see server/access.js); invites are for the last two
+export const ROLES = ['owner', 'editor', 'viewer'];
+
+export class ProtocolError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+    }
+}
+
+// Field checkers: each takes a value and the path it was found at, and
+// returns the value to keep or throws a ProtocolError
+function fail(path, expected) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, `${path} must be ${expected}`);
+}
+
+const string = (maxLength) => (value, path) =>
+    typeof value === 'string' && value.length <= maxLength ? value : fail(path, `a string of at most ${maxLength} characters`);
+
+const number = (value, path) => Number.isFinite(value) ? value : fail(path, 'a number');
+
+const between = (min, max) => (value, path) =>
+    Number.isFinite(value) && value >= min && value <= max ? value : fail(path, `a number from ${min} to ${max}`);
+
+// Sizes (line widths, font sizes): more than zero and at most `max`
+const size = (max) => (value, path) =>
+    Number.isFinite(value) && value > 0 && value <= max ? value : fail(path, `a number above 0 and at most ${max}`);
+
+const integer = (value, path) => Number.isInteger(value) ? value : fail(path, 'an integer');
+
+const boolean = (value, path) => typeof value === 'boolean' ? value : fail(path, 'true or false');
+
+const color = (value, path) => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value) ? value : fail(path, 'a #rrggbb color');
+
+const oneOf = (...values) => (value, path) => values.includes(value) ? value : fail(path, `one of ${values.join(', ')}`);
+
+// A missing (or null) optional field is left out of the result
+const optional = (check) => Object.assign((value, path) => check(value, path), { optional: true });
+
+const arrayOf = (check, maxLength) => (value, path) => {
+    if (!Array.isArray(value) || value.length > maxLength) fail(path, `a list of at most ${maxLength} items`);
+    return value.map((item, i) => check(item, `${path}[${i}]`));
+};
+
+const object = (fields) => (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'an object');
+    const result = {};
+    for (const [key, check] of Object.entries(fields)) {
+        if (value[key] === undefined || value[key] === null) {
+            if (check.optional) continue;
+            fail(`${path}.${key}`, 'present');
+        }
+        result[key] = check(value[key], `${path}.${key}`);
+    }
+    return result;
+};
+
+const MAX_COORDINATE = 1e7; // board units from the origin
+const MAX_WIDTH = 1000; // line widths and font sizes, in board units
+
+const id = string(64);
+const key = string(64); // an object: its operation id, or <operationId>/<target>/<piece> for an erase piece
+const coordinate = between(-MAX_COORDINATE, MAX_COORDINATE);
+const point = object({
+    x: coordinate, y: coordinate, p: optional(between(0, 1)), tx: optional(between(-90, 90)), ty: optional(between(-90, 90))
+});
+const points = arrayOf(point, MAX_BATCH_POINTS);
+const targets = arrayOf(key, 1000);
+const brushFields = { brush: optional(string(32)), opacity: optional(between(0, 1)), seed: optional(integer) };
+
+// The `data` of operation messages; see server.js for the finer checks
+export const CLIENT_MESSAGES = {
+    hello: { version: integer, token: optional(string(64)), name: optional(string(MAX_NAME_LENGTH)), color: optional(color) },
+    profile: { name: optional(string(MAX_NAME_LENGTH)), color: optional(color) },
+    ping: { timestamp: number },
+    join: {
+        roomId: optional(string(64)), since: optional(object({ stateId: string(64), version: integer })),
+        invite: optional(string(512)), password: optional(string(128))
+    },
+    'stroke-begin': {
+        data: object({ strokeId: id, tool: string(16), color, width: size(MAX_WIDTH), ...brushFields, layerId: optional(id), points })
+    },
+    'stroke-points': { data: object({ strokeId: id, points }) },
+    'stroke-end': { data: object({ strokeId: id }) },
+    cursor: { data: object({ x: coordinate, y: coordinate }) },
+    viewport: { data: object({ x: coordinate, y: coordinate, width: number, height: number }) },
+    clear: { scope: optional(oneOf('all', 'mine')) },
+    shape: {
+        data: object({
+            shapeId: id, shape: string(16), color, width: size(MAX_WIDTH), layerId: optional(id),
+            points: arrayOf(point, 2)
+        })
+    },
+    text: {
+        data: object({
+            textId: id, objectId: optional(key), x: coordinate, y: coordinate, text: string(5000),
+            fontSize: size(MAX_WIDTH), color, layerId: optional(id)
+        })
+    },
+    fill: { data: object({ fillId: id, x: coordinate, y: coordinate, color, tolerance: between(0, 100), layerId: optional(id) }) },
+    image: {
+        data: object({
+            placeId: id, imageId: string(64), x: coordinate, y: coordinate, width: number, height: number,
+            layerId: optional(id)
+        })
+    },
+    layer: {
+        data: object({
+            action: oneOf('add', 'update', 'move'), layerId: id, name: optional(string(50)),
+            index: optional(integer), visible: optional(boolean), locked: optional(boolean), opacity: optional(number)
+        })
+    },
+    transform: { data: object({ transformId: id, targets, matrix: arrayOf(number, 6) }) },
+    delete: { data: object({ eraseId: optional(id), targets }) },
+    // The pieces left of a cut stroke, a batch of points at a time: `piece`
+    // is the next piece of `target` or the last one again, to continue it
+    'erase-points': {
+        data: object({
+            eraseId: id, target: key, piece: integer, color, width: size(MAX_WIDTH), ...brushFields, points
+        })
+    },
+    erase: { data: object({ eraseId: id, targets }) },
+    undo: {},
+    redo: {},
+    // Room owner only
+    invite: { role: oneOf('editor', 'viewer'), expiresIn: optional(between(60, 365 * 24 * 60 * 60)) },
+    access: {
+        password: optional(string(128)), locked: optional(boolean), ownerOnlyClear: optional(boolean),
+        inviteOnly: optional(boolean), defaultRole: optional(oneOf('editor', 'viewer')), revokeInvites: optional(boolean)
+    },
+    kick: { userId: string(64), inviteOnly: optional(boolean) }
+};
+
+// Check a parsed client message against the schema; returns the message with
+// only the fields its schema lists, or throws a ProtocolError
+export function parseClientMessage(message) {
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+        throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'A message must be an object with a type');
+    }
+    if (!Object.hasOwn(CLIENT_MESSAGES, message.type)) {
+        throw new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type.slice(0, 64)}`);
+    }
+    return { type: message.type, ...object(CLIENT_MESSAGES[message.type])(message, message.type) };
+}
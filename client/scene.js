@@ -0,0 +1,563 @@
+import { computeFillRegion, regionContains } from './fill.js';
+
+// Text is set in this font; line height is a multiple of the font size
+export const TEXT_FONT = "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+export const TEXT_LINE_HEIGHT = 1.25;
+
+// Every room starts with this layer; objects without a layerId are on it
+export const BASE_LAYER_ID = 'base';
+
+let measureContext = null;
+
+// Width of one line of text at a font size, in board units: measured on a
+// canvas, unless setTextMeasure() installed something else (the server has
+// no canvas to measure with)
+let measureLine = (line, fontSize) => {
+    if (!measureContext) {
+        measureContext = document.createElement('canvas').getContext('2d');
+    }
+    measureContext.font = `${fontSize}px ${TEXT_FONT}`;
+    return measureContext.measureText(line).width;
+};
+
+export function setTextMeasure(measure) {
+    measureLine = measure;
+}
+
+// Width of the widest line of a text operation, in board units
+function measureText(operation) {
+    return Math.max(0, ...operation.text.split('\n').map(line => measureLine(line, operation.fontSize)));
+}
+
+// 2D affine matrices are [a, b, c, d, e, f] as in CanvasRenderingContext2D.transform:
+// x' = a*x + c*y + e, y' = b*x + d*y + f
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// The transform applying `second` after `first`
+export function multiplyMatrix(second, first) {
+    const [a1, b1, c1, d1, e1, f1] = second;
+    const [a2, b2, c2, d2, e2, f2] = first;
+    return [
+        a1 * a2 + c1 * b2,
+        b1 * a2 + d1 * b2,
+        a1 * c2 + c1 * d2,
+        b1 * c2 + d1 * d2,
+        a1 * e2 + c1 * f2 + e1,
+        b1 * e2 + d1 * f2 + f1
+    ];
+}
+
+export function invertMatrix([a, b, c, d, e, f]) {
+    const det = a * d - b * c;
+    return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+export function applyMatrix([a, b, c, d, e, f], { x, y }) {
+    return { x: a * x + c * y + e, y: b * x + d * y + f };
+}
+
+// Distance from p to the segment a-b
+export function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0
+        : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Points along a polyline no more than `step` apart, so cutting it at its
+// points is accurate to `step`
+export function resamplePolyline(points, step) {
+    const result = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const count = Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / step);
+        for (let k = 1; k <= count; k++) {
+            const point = { x: a.x + (b.x - a.x) * k / count, y: a.y + (b.y - a.y) * k / count };
+            // Carry pen pressure along so cut pieces keep their width
+            if (a.p !== undefined && b.p !== undefined) point.p = a.p + (b.p - a.p) * k / count;
+            result.push(point);
+        }
+    }
+    return result;
+}
+
+// Split a polyline where it comes within `reach` of the segment a-b; returns
+// the pieces left (each with at least two points)
+export function cutPolyline(points, a, b, reach) {
+    const pieces = [];
+    let current = [];
+    for (const point of points) {
+        if (distanceToSegment(point, a, b) <= reach) {
+            if (current.length >= 2) pieces.push(current);
+            current = [];
+        } else {
+            current.push(point);
+        }
+    }
+    if (current.length >= 2) pieces.push(current);
+    return pieces;
+}
+
+// Retained copy of the room's drawing operations, mirroring the server's
+// DrawingState: z-ordered operations plus the set of operations currently
+// undone. Strokes still being drawn (ours and other
+// users') and our shapes awaiting the server are kept alongside until the
+// server commits them.
+//
+// Operations sharing an `objectId` are revisions of one object (e.g. a text
+// edited after it was placed); only the newest revision that isn't undone is
+// visible. `transform`, `delete` and `erase` operations act on objects by that
+// key and are undone as a unit, however many objects they touch. An `erase`
+// replaces each target stroke with the pieces the eraser left of it, stored
+// in the operation itself, so replay never recomputes geometry. A `fill` is
+// the opposite: only its seed point is stored and its region is recomputed
+// from whatever is visible below it, so it follows undo, redo and edits of
+// the objects that bound it. A `clear` hides every object drawn before it
+// (scope 'all') or only those its user drew last ('mine'); layers stay, and
+// undoing the clear brings the objects back.
+//
+// Objects live on layers. `layer` operations add a layer, update its name,
+// visibility, lock or opacity, or move it in the stack; the stack is rebuilt
+// from them like everything else, so they replay and undo too.
+export class Scene {
+    constructor() {
+        this.pending = new Map(); // `${userId}:${strokeId}` -> stroke in progress
+        this.editingObjectId = null; // Object hidden while its inline editor is open
+        this.reset();
+    }
+
+    // Forget committed history (before a snapshot is replayed); strokes in
+    // progress outlive it
+    reset() {
+        this.operations = [];
+        this.byId = new Map();
+        this.undone = new Set();
+        this.invalidate();
+        this.fillRegions = new Map(); // fill operationId -> { signature, region }
+        this.previewTransform = null; // { targets: Set, matrix } of a move/scale/rotate being dragged
+        this.previewErase = null; // { replacements: Map(objectId -> pieces) } of an erase being dragged
+    }
+
+    // Drop what is derived from the history after it changed
+    invalidate() {
+        this.visible = null; // getVisibleOperations() until the next change
+        this.layers = null; // getLayers() until the next change
+    }
+
+    setPending(key, stroke) {
+        this.pending.set(key, stroke);
+    }
+
+    getPending(key) {
+        return this.pending.get(key);
+    }
+
+    deletePending(key) {
+        this.pending.delete(key);
+    }
+
+    // Apply an operation from the server; returns the operation whose
+    // visibility changed (for undo/redo), the added operation, or null
+    apply(operation) {
+        switch (operation.type) {
+            case 'undo': {
+                const target = this.byId.get(operation.targetOperationId);
+                if (target) this.undone.add(target.operationId);
+                this.invalidate();
+                return target || null;
+            }
+
+            case 'redo': {
+                const target = this.byId.get(operation.targetOperationId);
+                if (target) this.undone.delete(target.operationId);
+                this.invalidate();
+                return target || null;
+            }
+
+            default:
+                this.invalidate();
+                this.operations.push(operation);
+                this.byId.set(operation.operationId, operation);
+                return operation;
+        }
+    }
+
+    markUndone(operationId) {
+        if (this.byId.has(operationId)) {
+            this.undone.add(operationId);
+            this.invalidate();
+        }
+    }
+
+    // The layer stack, bottom first: { id, name, visible, locked, opacity }
+    getLayers() {
+        if (this.layers) return this.layers;
+
+        const layers = [{ id: BASE_LAYER_ID, name: 'Layer 1', visible: true, locked: false, opacity: 1 }];
+        for (const op of this.operations) {
+            if (op.type !== 'layer' || this.undone.has(op.operationId)) continue;
+
+            const index = layers.findIndex(layer => layer.id === op.layerId);
+            if (op.action === 'add') {
+                if (index === -1) {
+                    layers.push({ id: op.layerId, name: op.name, visible: true, locked: false, opacity: 1 });
+                }
+            } else if (index === -1) {
+                continue;
+            } else if (op.action === 'move') {
+                const [layer] = layers.splice(index, 1);
+                layers.splice(Math.max(0, Math.min(layers.length, op.index)), 0, layer);
+            } else {
+                const changes = {};
+                for (const key of ['name', 'visible', 'locked', 'opacity']) {
+                    if (op[key] !== undefined) changes[key] = op[key];
+                }
+                layers[index] = { ...layers[index], ...changes };
+            }
+        }
+
+        this.layers = layers;
+        return layers;
+    }
+
+    getLayer(layerId) {
+        return this.getLayers().find(layer => layer.id === layerId) || null;
+    }
+
+    // Every object on the board in z-order, whatever layer it is on: the
+    // newest live revision of every object that isn't deleted or cleared,
+    // carrying the `matrix` of its live transforms
+    getObjects() {
+        const latest = new Map(); // objectId -> newest revision not undone
+        const matrices = new Map(); // objectId -> accumulated transform
+        const deleted = new Set();
+        const replaced = new Map(); // objectId -> pieces left by an erase
+
+        for (const op of this.operations) {
+            if (this.undone.has(op.operationId)) continue;
+
+            if (op.type === 'transform') {
+                for (const key of op.targets) {
+                    matrices.set(key, multiplyMatrix(op.matrix, matrices.get(key) || IDENTITY));
+                }
+            } else if (op.type === 'delete') {
+                for (const key of op.targets) deleted.add(key);
+            } else if (op.type === 'erase') {
+                op.targets.forEach((key, i) => replaced.set(key, Scene.getErasePieces(op, i)));
+            } else if (op.type === 'clear') {
+                // Cleared objects go with their edits: a later revision of one
+                // starts afresh
+                for (const [key, object] of latest) {
+                    if (op.scope !== 'mine' || object.userId === op.userId) {
+                        latest.delete(key);
+                        matrices.delete(key);
+                        deleted.delete(key);
+                        replaced.delete(key);
+                    }
+                }
+                if (op.scope !== 'mine') {
+                    matrices.clear();
+                    deleted.clear();
+                    replaced.clear();
+                }
+            } else if (op.type !== 'layer') {
+                latest.set(Scene.objectKey(op), op);
+            }
+        }
+
+        // Pieces take the place (and z-order and layer) of the stroke they
+        // came from, and may themselves be transformed, deleted or erased later
+        const objects = [];
+        const emit = (op) => {
+            const key = Scene.objectKey(op);
+            if (deleted.has(key)) return;
+            if (replaced.has(key)) {
+                replaced.get(key).forEach(piece => emit({ ...piece, layerId: op.layerId }));
+                return;
+            }
+            const matrix = matrices.get(key);
+            objects.push(matrix ? { ...op, matrix } : op);
+        };
+        for (const op of this.operations) {
+            if (latest.get(Scene.objectKey(op)) === op) emit(op);
+        }
+        return objects;
+    }
+
+    // What is drawn, in paint order (layer by layer, bottom first): the
+    // objects whose layer is shown
+    getVisibleOperations() {
+        if (this.visible) return this.visible;
+
+        const objects = this.getObjects();
+
+        // Objects on hidden layers (or layers whose creation was undone) are
+        // not drawn; the rest are painted layer by layer
+        const visible = [];
+        for (const layer of this.getLayers()) {
+            if (!layer.visible) continue;
+            const onLayer = objects.filter(op => Scene.layerOf(op) === layer.id);
+
+            // Fills take their region from everything visible below them on their layer
+            onLayer.forEach((op, i) => {
+                if (op.type === 'fill') {
+                    onLayer[i] = { ...op, region: this.getFillRegion(op, onLayer.slice(0, i)) };
+                }
+            });
+            visible.push(...onLayer);
+        }
+
+        this.visible = visible;
+        return visible;
+    }
+
+    // Recompute a fill's region only when something below it changed
+    getFillRegion(fill, below) {
+        const signature = below
+            .map(op => (op.matrix ? `${op.operationId}@${op.matrix.join(',')}` : op.operationId))
+            .join(' ');
+        const cached = this.fillRegions.get(fill.operationId);
+        if (cached && cached.signature === signature) return cached.region;
+
+        const region = computeFillRegion(below, fill);
+        this.fillRegions.set(fill.operationId, { signature, region });
+        return region;
+    }
+
+    // Stroke objects for the pieces an erase left of its i-th target
+    static getErasePieces(operation, i) {
+        return operation.pieces[i].map((piece, j) => ({
+            type: 'stroke',
+            tool: 'brush',
+            operationId: `${operation.operationId}/${i}/${j}`,
+            color: piece.color,
+            width: piece.width,
+            brush: piece.brush,
+            opacity: piece.opacity,
+            seed: piece.seed,
+            points: piece.points
+        }));
+    }
+
+    // Everything on screen, in paint order, grouped by shown layer (bottom
+    // first): [{ layer, operations }]. Strokes in progress go on top of
+    // their layer.
+    getRenderLayers() {
+        const groups = new Map(this.getLayers()
+            .filter(layer => layer.visible)
+            .map(layer => [layer.id, { layer, operations: [] }]));
+
+        for (const op of this.getVisibleOperations()) {
+            const key = Scene.objectKey(op);
+            if (key === this.editingObjectId) continue;
+
+            const { operations } = groups.get(Scene.layerOf(op));
+            if (this.previewErase && this.previewErase.replacements.has(key)) {
+                operations.push(...this.previewErase.replacements.get(key));
+            } else if (this.previewTransform && this.previewTransform.targets.has(key)) {
+                operations.push({ ...op, matrix: multiplyMatrix(this.previewTransform.matrix, op.matrix || IDENTITY) });
+            } else {
+                operations.push(op);
+            }
+        }
+        for (const op of this.pending.values()) {
+            const group = groups.get(Scene.layerOf(op));
+            if (group) group.operations.push(op);
+        }
+        return [...groups.values()];
+    }
+
+    // Topmost visible object accepted by `filter` under a board point, within
+    // `tolerance` board units of its outline
+    hitTest(x, y, tolerance = 0, filter = () => true) {
+        const candidates = this.getVisibleOperations().filter(filter);
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            if (Scene.hits(candidates[i], { x, y }, tolerance)) {
+                return candidates[i];
+            }
+        }
+        return null;
+    }
+
+    findTextAt(x, y) {
+        return this.hitTest(x, y, 0, op => op.type === 'text');
+    }
+
+    // Visible objects entirely inside `box`
+    findInside(box, filter = () => true) {
+        return this.getVisibleOperations().filter(op => {
+            const bounds = Scene.getBounds(op);
+            return bounds && filter(op) &&
+                bounds.x >= box.x && bounds.y >= box.y &&
+                bounds.x + bounds.width <= box.x + box.width &&
+                bounds.y + bounds.height <= box.y + box.height;
+        });
+    }
+
+    // Area an operation currently covers on screen: its object, or the objects
+    // it transforms or deletes. Measuring before and after a change gives the
+    // region to repaint. Fills are always included, since any change can
+    // reshape them.
+    getFootprint(operation) {
+        const keys = new Set(operation.targets || [Scene.objectKey(operation)]);
+        let bounds = null;
+        for (const op of this.getVisibleOperations()) {
+            if (keys.has(Scene.objectKey(op)) || op.type === 'fill') {
+                bounds = Scene.union(bounds, Scene.getBounds(op));
+            }
+        }
+        return bounds;
+    }
+
+    static objectKey(operation) {
+        return operation.objectId || operation.operationId;
+    }
+
+    static layerOf(operation) {
+        return operation.layerId || BASE_LAYER_ID;
+    }
+
+    // Whether board point `p` is on the operation (in its transformed position)
+    static hits(operation, p, tolerance) {
+        if (operation.matrix) {
+            const [a, b, c, d] = operation.matrix;
+            p = applyMatrix(invertMatrix(operation.matrix), p);
+            tolerance /= Math.sqrt(Math.abs(a * d - b * c)) || 1;
+        }
+        const reach = (operation.width || 0) / 2 + tolerance;
+
+        if (operation.type === 'fill') {
+            return Boolean(operation.region) && regionContains(operation.region, p);
+        }
+
+        if (operation.type === 'text' || operation.type === 'image') {
+            const box = Scene.getLocalBounds(operation);
+            return p.x >= box.x - tolerance && p.x <= box.x + box.width + tolerance &&
+                p.y >= box.y - tolerance && p.y <= box.y + box.height + tolerance;
+        }
+
+        const points = operation.points || [];
+        if (operation.type === 'shape') {
+            const [start, end] = points;
+            if (operation.shape === 'rect') {
+                const corners = [start, { x: end.x, y: start.y }, end, { x: start.x, y: end.y }];
+                return corners.some((corner, i) => distanceToSegment(p, corner, corners[(i + 1) % 4]) <= reach);
+            }
+            if (operation.shape === 'ellipse') {
+                const rx = Math.abs(end.x - start.x) / 2;
+                const ry = Math.abs(end.y - start.y) / 2;
+                const dx = p.x - (start.x + end.x) / 2;
+                const dy = p.y - (start.y + end.y) / 2;
+                if (rx === 0 || ry === 0) return Math.abs(rx === 0 ? dx : dy) <= reach;
+                // Radial distance from the outline, in units of the smaller radius
+                return Math.abs(Math.hypot(dx / rx, dy / ry) - 1) * Math.min(rx, ry) <= reach;
+            }
+            return distanceToSegment(p, start, end) <= reach;
+        }
+
+        if (points.length === 1) return Math.hypot(p.x - points[0].x, p.y - points[0].y) <= reach;
+        for (let i = 1; i < points.length; i++) {
+            if (distanceToSegment(p, points[i - 1], points[i]) <= reach) return true;
+        }
+        return false;
+    }
+
+    // Size of an arrow's head for a given line width
+    static arrowHeadLength(width) {
+        return Math.max(12, width * 3);
+    }
+
+    // Axis-aligned bounds of an operation as drawn, including its transform
+    static getBounds(operation) {
+        const bounds = Scene.getLocalBounds(operation);
+        if (!bounds || !operation.matrix) return bounds;
+
+        const corners = [
+            { x: bounds.x, y: bounds.y },
+            { x: bounds.x + bounds.width, y: bounds.y },
+            { x: bounds.x, y: bounds.y + bounds.height },
+            { x: bounds.x + bounds.width, y: bounds.y + bounds.height }
+        ].map(corner => applyMatrix(operation.matrix, corner));
+        const xs = corners.map(corner => corner.x);
+        const ys = corners.map(corner => corner.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    // Bounds before any transform (stroke or shape padded by half its line width)
+    static getLocalBounds(operation) {
+        if (operation.type === 'fill') {
+            const region = operation.region;
+            return region ? {
+                x: region.x,
+                y: region.y,
+                width: region.cols * region.cell,
+                height: region.rows * region.cell
+            } : null;
+        }
+        if (operation.type === 'image') {
+            return { x: operation.x, y: operation.y, width: operation.width, height: operation.height };
+        }
+        if (operation.type === 'text') {
+            const lines = operation.text.split('\n').length;
+            return {
+                x: operation.x - 2,
+                y: operation.y - 2,
+                width: measureText(operation) + 4,
+                height: lines * operation.fontSize * TEXT_LINE_HEIGHT + 4
+            };
+        }
+        if (!operation.points || operation.points.length === 0) return null;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const point of operation.points) {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+
+        let pad = (operation.width || 1) / 2 + 1;
+        if (operation.shape === 'arrow') {
+            pad += Scene.arrowHeadLength(operation.width);
+        }
+        return {
+            x: minX - pad,
+            y: minY - pad,
+            width: maxX - minX + pad * 2,
+            height: maxY - minY + pad * 2
+        };
+    }
+
+    // Union of the bounds of everything visible, or null for an empty scene
+    getContentBounds() {
+        let union = null;
+        for (const op of this.getVisibleOperations()) {
+            union = Scene.union(union, Scene.getBounds(op));
+        }
+        return union;
+    }
+
+    // Smallest rectangle covering both (either may be null)
+    static union(a, b) {
+        if (!a || !b) return a || b ? { ...(a || b) } : null;
+
+        const x = Math.min(a.x, b.x);
+        const y = Math.min(a.y, b.y);
+        return {
+            x,
+            y,
+            width: Math.max(a.x + a.width, b.x + b.width) - x,
+            height: Math.max(a.y + a.height, b.y + b.height) - y
+        };
+    }
+
+    static intersects(a, b) {
+        return a.x < b.x + b.width && b.x < a.x + a.width &&
+            a.y < b.y + b.height && b.y < a.y + a.height;
+    }
+}
@@ -1,3 +1,10 @@
+import { PROTOCOL_VERSION, CLOSE_CODES } from './protocol.js';
+import { loadIdentity, saveIdentity } from './identity.js';
+
+const PING_INTERVAL = 30000;
+const TRANSIENT_TYPES = ['cursor', 'viewport', 'ping']; // not worth sending late
+const QUEUE_BATCH_SIZE = 40; // queued messages sent per second after a reconnect, within the server's rate limit
+
 export class WebSocketClient {
     constructor() {
         this.ws = null;
@@ -7,6 +14,10 @@ export class WebSocketClient {
         this.latency = null;
         this.messageQueue = [];
         this.isConnected = false;
+        this.pingTimer = null;
+        this.queueTimer = null;
+        this.identity = loadIdentity(); // { token, name, color } we say hello with
+        this.uploadToken = null; // lets this connection upload images to its room
         
         this.onMessage = null;
         this.onConnect = null;
@@ -24,32 +35,24 @@ export class WebSocketClient {
             try {
                 this.ws = new WebSocket(wsUrl);
                 
+                // Nothing but the handshake goes out until the server says hello back
                 this.ws.onopen = () => {
-                    console.log('WebSocket connected');
-                    this.isConnected = true;
-                    this.reconnectAttempts = 0;
-                    
-                    // Update UI
-                    const status = document.getElementById('connection-status');
-                    if (status) {
-                        status.textContent = '● Connected';
-                        status.className = 'connected';
-                    }
-                    
-                    // Process queued messages
-                    this.processMessageQueue();
-                    
-                    if (this.onConnect) this.onConnect();
-                    resolve();
+                    this.ws.send(JSON.stringify({ type: 'hello', version: PROTOCOL_VERSION, ...this.identity }));
                 };
                 
                 this.ws.onmessage = (event) => {
                     try {
                         const message = JSON.parse(event.data);
                         
-                        if (message.type === 'pong') {
+                        if (message.type === 'hello') {
+                            this.handleHello(message);
+                            resolve();
+                        } else if (message.type === 'pong') {
                             this.latency = Date.now() - message.timestamp;
                         } else {
+                            if (message.type === 'error') {
+                                console.warn(`Server rejected ${message.requestType || 'a'} message: ${message.message}`);
+                            }
                             if (this.onMessage) {
                                 this.onMessage(message);
                             }
@@ -62,18 +65,25 @@ export class WebSocketClient {
                 this.ws.onclose = (event) => {
                     console.log('WebSocket disconnected:', event.code, event.reason);
                     this.isConnected = false;
+                    clearInterval(this.pingTimer);
+                    this.pingTimer = null;
+                    clearTimeout(this.queueTimer);
+                    this.queueTimer = null;
+                    
+                    // A server speaking another protocol version won't take us back
+                    const incompatible = event.code === CLOSE_CODES.PROTOCOL_ERROR;
                     
                     // Update UI
                     const status = document.getElementById('connection-status');
                     if (status) {
-                        status.textContent = '● Disconnected';
+                        status.textContent = incompatible ? '● Update required: reload the page' : '● Disconnected';
                         status.className = 'disconnected';
                     }
                     
                     if (this.onDisconnect) this.onDisconnect();
                     
                     // Attempt to reconnect
-                    if (this.reconnectAttempts < this.maxReconnectAttempts) {
+                    if (!incompatible && this.reconnectAttempts < this.maxReconnectAttempts) {
                         setTimeout(() => {
                             this.reconnectAttempts++;
                             this.reconnectDelay *= 1.5; // Exponential backoff
@@ -88,16 +98,6 @@ export class WebSocketClient {
                     reject(error);
                 };
                 
-                // Start ping interval
-                setInterval(() => {
-                    if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
-                        this.send({
-                            type: 'ping',
-                            timestamp: Date.now()
-                        });
-                    }
-                }, 30000);
-                
             } catch (error) {
                 console.error('Failed to connect to WebSocket:', error);
                 reject(error);
@@ -105,19 +105,70 @@ export class WebSocketClient {
         });
     }
     
-    send(message) {
+    // Handshake done: the connection is usable, and we know who we are
+    handleHello({ token, uploadToken, name, color }) {
+        console.log('WebSocket connected');
+        this.updateIdentity({ token, name, color });
+        this.uploadToken = uploadToken;
+        this.isConnected = true;
+        this.reconnectAttempts = 0;
+        
+        // Update UI
+        const status = document.getElementById('connection-status');
+        if (status) {
+            status.textContent = '● Connected';
+            status.className = 'connected';
+        }
+        
+        // Let the app re-join its room before queued messages go out
+        const queued = this.messageQueue.splice(0);
+        if (this.onConnect) this.onConnect();
+        this.messageQueue.push(...queued);
+        
+        // Process queued messages
+        this.processMessageQueue();
+        
+        // Measure latency now and every PING_INTERVAL; one timer per connection
+        clearInterval(this.pingTimer);
+        this.ping();
+        this.pingTimer = setInterval(() => this.ping(), PING_INTERVAL);
+    }
+    
+    // Remember our identity for the next connection (and page load)
+    updateIdentity(changes) {
+        this.identity = { ...this.identity, ...changes };
+        saveIdentity(this.identity);
+    }
+    
+    ping() {
         if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
+            this.send({
+                type: 'ping',
+                timestamp: Date.now()
+            });
+        }
+    }
+    
+    send(message) {
+        // Messages wait behind queued ones, so they keep their order
+        if (this.isConnected && this.ws.readyState === WebSocket.OPEN && this.messageQueue.length === 0) {
             this.ws.send(JSON.stringify(message));
-        } else {
+        } else if (!TRANSIENT_TYPES.includes(message.type)) {
             // Queue message for when connection is restored
             this.messageQueue.push(message);
         }
     }
     
+    // Send queued messages in batches of QUEUE_BATCH_SIZE a second
     processMessageQueue() {
-        while (this.messageQueue.length > 0) {
-            const message = this.messageQueue.shift();
-            this.send(message);
+        this.queueTimer = null;
+        if (!this.isConnected || this.ws.readyState !== WebSocket.OPEN) return;
+        
+        for (const message of this.messageQueue.splice(0, QUEUE_BATCH_SIZE)) {
+            this.ws.send(JSON.stringify(message));
+        }
+        if (this.messageQueue.length > 0) {
+            this.queueTimer = setTimeout(() => this.processMessageQueue(), 1000);
         }
     }
     
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Who may do what in a room. Roles:
+//   owner  - whoever opened the room first: everything, plus invites, the
+//            password, locking the board and kicking users
+//   editor - draws, edits, clears and undoes
+//   viewer - only watches (cursors and viewports still go both ways)
+// A locked board is read-only for everyone but the owner. With
+// `ownerOnlyClear`, editors may still clear what they drew themselves but
+// only the owner can clear the whole board.
+//
+// Users join with the room's plain link as `defaultRole`, or with an invite
+// link as the role it was made for. Invites are signed with a key of the
+// room's own, so they can't be forged or used for another room, and changing
+// the key revokes every invite given out. A room password is asked of
+// everyone else; members (users who got in with an invite or the password)
+// keep their role without asking again. An `inviteOnly` room takes newcomers
+// only with an invite, password or not: after a kick, that is what keeps the
+// kicked user from coming back as a new user.
+//
+// Emits 'change' whenever anything here changes, so the server can persist
+// it (see toJSON).
+
+const INVITE_ROLES = ['editor', 'viewer'];
+
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 32).toString('base64');
+}
+
+function sign(key, payload) {
+    return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+class RoomAccess extends EventEmitter {
+    // `saved`: the output of toJSON(), e.g. as persisted by the store
+    constructor(saved = {}) {
+        super();
+        this.ownerId = saved.ownerId || null;
+        this.defaultRole = INVITE_ROLES.includes(saved.defaultRole) ? saved.defaultRole : 'editor';
+        this.locked = Boolean(saved.locked);
+        this.ownerOnlyClear = Boolean(saved.ownerOnlyClear);
+        this.inviteOnly = Boolean(saved.inviteOnly);
+        this.password = saved.password || null; // { salt, hash }
+        this.members = new Map(Object.entries(saved.members || {})); // userId -> role
+        this.kicked = new Map(Object.entries(saved.kicked || {})); // userId -> when (ms)
+        this.inviteKey = saved.inviteKey || crypto.randomBytes(32).toString('base64url');
+    }
+
+    roleOf(userId) {
+        if (userId === this.ownerId) return 'owner';
+        return this.members.get(userId) || this.defaultRole;
+    }
+
+    canEdit(userId) {
+        const role = this.roleOf(userId);
+        return role === 'owner' || (role === 'editor' && !this.locked);
+    }
+
+    // Whether a user may clear the board: `scope` 'all' for everything,
+    // 'mine' for only what they drew
+    canClear(userId, scope) {
+        if (!this.canEdit(userId)) return false;
+        return scope === 'mine' || !this.ownerOnlyClear || userId === this.ownerId;
+    }
+
+    // Let a user in: returns their role, or { denied } with the reason
+    // ('invite', 'kicked', 'closed' or 'password'). `invite` and `password` are what
+    // they joined with; `mayOwn` lets them claim a room without an owner.
+    admit(userId, { invite, password, mayOwn }) {
+        if (!this.ownerId && mayOwn) {
+            this.ownerId = userId;
+            this.emit('change');
+        }
+        if (userId === this.ownerId) return 'owner';
+
+        if (invite !== undefined) {
+            const grant = this.verifyInvite(invite);
+            if (!grant || grant.issuedAt <= (this.kicked.get(userId) || 0)) return { denied: 'invite' };
+
+            this.kicked.delete(userId);
+            this.members.set(userId, grant.role);
+            this.emit('change');
+            return grant.role;
+        }
+
+        if (this.kicked.has(userId)) return { denied: 'kicked' };
+        if (this.members.has(userId)) return this.members.get(userId);
+        if (this.inviteOnly) return { denied: 'closed' };
+        if (!this.password) return this.defaultRole;
+
+        if (typeof password !== 'string' || !this.checkPassword(password)) return { denied: 'password' };
+        this.members.set(userId, this.defaultRole);
+        this.emit('change');
+        return this.defaultRole;
+    }
+
+    // A link token for `role`, valid for `ttl` ms (forever when null)
+    createInvite(role, ttl = null) {
+        const issuedAt = Date.now();
+        const payload = Buffer.from(JSON.stringify({
+            role, issuedAt, expiresAt: ttl === null ? null : issuedAt + ttl
+        })).toString('base64url');
+        return `${payload}.${sign(this.inviteKey, payload)}`;
+    }
+
+    // { role, issuedAt, expiresAt } of a valid, unexpired invite, or null
+    verifyInvite(token) {
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(sign(this.inviteKey, payload));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+        try {
+            const grant = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            if (!INVITE_ROLES.includes(grant.role)) return null;
+            if (grant.expiresAt !== null && grant.expiresAt <= Date.now()) return null;
+            return grant;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    checkPassword(password) {
+        const expected = Buffer.from(this.password.hash, 'base64');
+        return crypto.timingSafeEqual(Buffer.from(hashPassword(password, this.password.salt), 'base64'), expected);
+    }
+
+    // The owner's settings: `password` ('' removes it), `locked`,
+    // `ownerOnlyClear`, `inviteOnly`, `defaultRole`, and `revokeInvites` to
+    // invalidate every invite so far.
+    // Users in `present` become members, so a new password or closing the
+    // room to newcomers doesn't shut out the people already in it.
+    update({ password, locked, ownerOnlyClear, inviteOnly, defaultRole, revokeInvites }, present = []) {
+        if (password !== undefined) {
+            if (password === '') {
+                this.password = null;
+            } else {
+                const salt = crypto.randomBytes(16).toString('base64');
+                this.password = { salt, hash: hashPassword(password, salt) };
+            }
+        }
+        if (password || inviteOnly) {
+            for (const userId of present) {
+                if (userId !== this.ownerId) this.members.set(userId, this.roleOf(userId));
+            }
+        }
+        if (locked !== undefined) this.locked = locked;
+        if (ownerOnlyClear !== undefined) this.ownerOnlyClear = ownerOnlyClear;
+        if (inviteOnly !== undefined) this.inviteOnly = inviteOnly;
+        if (defaultRole !== undefined) this.defaultRole = defaultRole;
+        if (revokeInvites) this.inviteKey = crypto.randomBytes(32).toString('base64url');
+        this.emit('change');
+    }
+
+    // Remove a user's membership; only an invite made after this lets them
+    // back (under the same identity: see inviteOnly)
+    kick(userId) {
+        this.members.delete(userId);
+        this.kicked.set(userId, Date.now());
+        this.emit('change');
+    }
+
+    // What every client in the room may know about its settings
+    summary() {
+        return {
+            locked: this.locked,
+            ownerOnlyClear: this.ownerOnlyClear,
+            inviteOnly: this.inviteOnly,
+            defaultRole: this.defaultRole,
+            hasPassword: Boolean(this.password)
+        };
+    }
+
+    toJSON() {
+        return {
+            ownerId: this.ownerId,
+            defaultRole: this.defaultRole,
+            locked: this.locked,
+            ownerOnlyClear: this.ownerOnlyClear,
+            inviteOnly: this.inviteOnly,
+            password: this.password,
+            members: Object.fromEntries(this.members),
+            kicked: Object.fromEntries(this.kicked),
+            inviteKey: this.inviteKey
+        };
+    }
+}
+
+RoomAccess.INVITE_ROLES = INVITE_ROLES;
+
+module.exports = RoomAccess;
@@ -1,47 +1,411 @@
-class DrawingState {
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const EDIT_TYPES = ['transform', 'delete', 'erase']; // operations on objects drawn before them
+const OBJECT_TYPES = ['stroke', 'shape', 'text', 'fill', 'image']; // operations that draw something new
+const BASE_LAYER_ID = 'base'; // the layer every board starts with (see client/scene.js)
+
+// Emits 'operation' for every operation added and 'snapshot' after each
+// compaction, which is what persistence stores listen to
+class DrawingState extends EventEmitter {
     constructor() {
+        super();
+        
         this.operations = [];
-        this.undoStack = [];
-        this.redoStack = [];
+        this.undone = new Set(); // operationIds currently undone
         this.version = 0;
+        
+        // Operations up to baseVersion are only available through the snapshot:
+        // `operations` holds the ones after it (those since the last compaction)
+        this.baseVersion = 0;
+        
+        // Per-user stacks of operationIds: what each user can undo / redo next
+        this.undoStacks = new Map();
+        this.redoStacks = new Map();
+        
+        // Compacted view of the canvas at snapshot.version: undo/redo are
+        // folded away, and so are strokes that can never come back; `undone`
+        // lists the snapshot operations that are hidden but still redoable
+        this.snapshot = { version: 0, operations: [], undone: [] };
+        
+        // Identifies this history; versions are only comparable within one stateId
+        this.stateId = crypto.randomBytes(8).toString('hex');
+        
+        this.layers = null; // getLayers() until a layer operation, undo or redo
     }
     
     addOperation(operation) {
         operation.version = ++this.version;
         this.operations.push(operation);
-        this.undoStack.push(operation);
-        this.redoStack = []; // Clear redo stack on new operation
+        this.applyOperation(operation);
+        this.emit('operation', operation);
+        
+        if (this.version - this.snapshot.version >= DrawingState.COMPACT_INTERVAL) {
+            this.compact();
+        }
         return operation;
     }
     
+    // Add a batch of operations (a board import) in one pass: each is
+    // versioned and applied like addOperation does, then the batch is folded
+    // into a single snapshot, which is also what persistence stores, instead
+    // of being logged one by one and compacted every COMPACT_INTERVAL
+    addOperations(operations) {
+        for (const operation of operations) {
+            operation.version = ++this.version;
+            this.operations.push(operation);
+            this.applyOperation(operation);
+        }
+        this.compact();
+        return operations;
+    }
+    
+    // Re-apply an already versioned operation (e.g. from a log on disk)
+    replayOperation(operation) {
+        if (!Number.isInteger(operation.version) || operation.version <= this.version) {
+            return false;
+        }
+        
+        this.version = operation.version;
+        this.operations.push(operation);
+        this.applyOperation(operation);
+        return true;
+    }
+    
+    // Keep undone set and undo/redo stacks in step with the log. A clear is
+    // an ordinary operation here: it hides what came before it (see
+    // client/scene.js) and its user can undo it. Users can undo their last
+    // MAX_UNDO_DEPTH operations.
+    applyOperation(operation) {
+        const { userId } = operation;
+        if (['layer', 'undo', 'redo'].includes(operation.type)) {
+            this.layers = null;
+        }
+        
+        switch (operation.type) {
+            case 'undo':
+                this.undone.add(operation.targetOperationId);
+                this.removeFromStack(this.undoStacks, userId, operation.targetOperationId);
+                this.getStack(this.redoStacks, userId).push(operation.targetOperationId);
+                break;
+                
+            case 'redo':
+                this.undone.delete(operation.targetOperationId);
+                this.removeFromStack(this.redoStacks, userId, operation.targetOperationId);
+                this.pushUndo(userId, operation.targetOperationId);
+                break;
+                
+            default:
+                // A new drawing operation invalidates what this user could redo
+                this.pushUndo(userId, operation.operationId);
+                this.redoStacks.delete(userId);
+        }
+    }
+    
+    pushUndo(userId, operationId) {
+        const stack = this.getStack(this.undoStacks, userId);
+        stack.push(operationId);
+        if (stack.length > DrawingState.MAX_UNDO_DEPTH) {
+            stack.splice(0, stack.length - DrawingState.MAX_UNDO_DEPTH);
+        }
+    }
+    
+    getStack(stacks, userId) {
+        if (!stacks.has(userId)) {
+            stacks.set(userId, []);
+        }
+        return stacks.get(userId);
+    }
+    
+    removeFromStack(stacks, userId, operationId) {
+        const stack = stacks.get(userId);
+        if (!stack) return;
+        
+        const index = stack.lastIndexOf(operationId);
+        if (index !== -1) {
+            stack.splice(index, 1);
+        }
+    }
+    
+    // Fold every operation after the current snapshot into a new snapshot
+    compact() {
+        const folded = DrawingState.fold(
+            this.snapshot,
+            this.getOperationsAfter(this.snapshot.version)
+        );
+        
+        // Undone operations nobody can redo any more are gone for good
+        const redoable = new Set();
+        for (const stack of this.redoStacks.values()) {
+            stack.forEach(id => redoable.add(id));
+        }
+        const undoable = new Set();
+        for (const stack of this.undoStacks.values()) {
+            stack.forEach(id => undoable.add(id));
+        }
+        
+        // So is what a clear nobody can undo any more hides; undoing or
+        // redoing it would change nothing, so it leaves the stacks too
+        const kept = DrawingState.foldClears(
+            folded.operations.filter(op => !folded.undone.has(op.operationId) || redoable.has(op.operationId)),
+            clear => !folded.undone.has(clear.operationId) && !undoable.has(clear.operationId)
+        );
+        const keptIds = new Set(kept.map(op => op.operationId));
+        const dropped = new Set(folded.operations.map(op => op.operationId).filter(id => !keptIds.has(id)));
+        for (const stacks of [this.undoStacks, this.redoStacks]) {
+            for (const [userId, stack] of stacks) {
+                stacks.set(userId, stack.filter(id => !dropped.has(id)));
+            }
+        }
+        dropped.forEach(id => this.undone.delete(id));
+        
+        this.snapshot = {
+            version: this.version,
+            operations: kept,
+            undone: [...folded.undone].filter(id => redoable.has(id) && keptIds.has(id))
+        };
+        
+        // The snapshot covers the whole log now
+        this.operations = [];
+        this.baseVersion = this.version;
+        this.emit('snapshot', this.snapshot);
+    }
+    
+    // Everything needed to rebuild this state: the compacted snapshot plus the
+    // undo/redo stacks as they were at the same version
+    exportSnapshot() {
+        return {
+            stateId: this.stateId,
+            version: this.snapshot.version,
+            operations: this.snapshot.operations,
+            undone: this.snapshot.undone,
+            undoStacks: Object.fromEntries(this.undoStacks),
+            redoStacks: Object.fromEntries(this.redoStacks)
+        };
+    }
+    
+    // Rebuild a state from exportSnapshot() output and the operations logged after it
+    static restore(saved, operations = []) {
+        const state = new DrawingState();
+        
+        if (saved) {
+            state.stateId = saved.stateId;
+            state.version = saved.version;
+            state.baseVersion = saved.version;
+            state.snapshot = {
+                version: saved.version,
+                operations: saved.operations || [],
+                undone: saved.undone || []
+            };
+            state.undone = new Set(state.snapshot.undone);
+            state.undoStacks = new Map(Object.entries(saved.undoStacks || {}));
+            state.redoStacks = new Map(Object.entries(saved.redoStacks || {}));
+        }
+        
+        for (const operation of operations) {
+            state.replayOperation(operation);
+        }
+        return state;
+    }
+    
+    // Snapshot plus the operations that arrived after it
+    getSnapshot() {
+        return {
+            version: this.snapshot.version,
+            operations: this.snapshot.operations,
+            undone: this.snapshot.undone,
+            tail: this.getOperationsAfter(this.snapshot.version)
+        };
+    }
+    
+    // The whole history as it stands: the snapshot, then what came after it
+    getOperations() {
+        return this.snapshot.operations.concat(this.getOperationsAfter(this.snapshot.version));
+    }
+    
     getOperationsAfter(version) {
         return this.operations.filter(op => op.version > version);
     }
     
-    undo(userId) {
-        // Find last operation by this user
-        for (let i = this.operations.length - 1; i >= 0; i--) {
-            if (this.operations[i].userId === userId) {
-                const operation = this.operations[i];
-                this.operations.splice(i, 1);
-                this.undoStack = this.undoStack.filter(op => op.operationId !== operation.operationId);
-                return operation;
+    // Whether a client that last saw `version` of `stateId` can catch up with a delta
+    canResume(stateId, version) {
+        return stateId === this.stateId &&
+            Number.isInteger(version) &&
+            version >= this.baseVersion &&
+            version <= this.version;
+    }
+    
+    // Hide the user's most recent visible operation; other users' work is
+    // untouched. What a clear hides is skipped, as undoing it would change
+    // nothing anyone can see.
+    undo(userId, operationId) {
+        const stack = this.undoStacks.get(userId);
+        if (!stack || stack.length === 0) return null;
+        
+        const cleared = this.getClearedIds(userId);
+        let index = stack.length - 1;
+        while (index >= 0 && cleared.has(stack[index])) index--;
+        if (index < 0) return null;
+        
+        return this.addOperation({
+            type: 'undo',
+            targetOperationId: stack[index],
+            userId,
+            timestamp: Date.now(),
+            operationId
+        });
+    }
+    
+    // Bring back exactly the operation the user undid last
+    redo(userId, operationId) {
+        const stack = this.redoStacks.get(userId);
+        if (!stack || stack.length === 0) return null;
+        
+        return this.addOperation({
+            type: 'redo',
+            targetOperationId: stack[stack.length - 1],
+            userId,
+            timestamp: Date.now(),
+            operationId
+        });
+    }
+    
+    // The layer stack as clients resolve it (see Scene.getLayers in
+    // client/scene.js): layerId -> { visible, locked }, the base layer included
+    getLayers() {
+        if (this.layers) return this.layers;
+        
+        const layers = new Map([[BASE_LAYER_ID, { visible: true, locked: false }]]);
+        for (const op of this.getOperations()) {
+            if (op.type !== 'layer' || this.undone.has(op.operationId)) continue;
+            
+            const layer = layers.get(op.layerId);
+            if (op.action === 'add' && !layer) {
+                layers.set(op.layerId, { visible: true, locked: false });
+            } else if (op.action === 'update' && layer) {
+                if (op.visible !== undefined) layer.visible = op.visible;
+                if (op.locked !== undefined) layer.locked = op.locked;
             }
         }
-        return null;
+        
+        this.layers = layers;
+        return layers;
     }
     
-    redo(userId) {
-        // Simple implementation - in production, would need more sophisticated approach
-        return null;
+    // The layer of every object drawn, by the key transforms, deletes and
+    // erases name it with; pieces an erase left stay on their stroke's layer
+    getObjectLayers() {
+        const layers = new Map();
+        for (const op of this.getOperations()) {
+            if (this.undone.has(op.operationId)) continue;
+            
+            if (op.type === 'erase') {
+                op.targets.forEach((key, i) => {
+                    if (!layers.has(key)) return;
+                    op.pieces[i].forEach((piece, j) => layers.set(`${op.operationId}/${i}/${j}`, layers.get(key)));
+                });
+            } else if (OBJECT_TYPES.includes(op.type)) {
+                layers.set(op.objectId || op.operationId, op.layerId || BASE_LAYER_ID);
+            }
+        }
+        return layers;
+    }
+    
+    // Whether undo and redo would change anything for the user now; clients
+    // enable their buttons by it
+    getUndoState(userId) {
+        const undoStack = this.undoStacks.get(userId) || [];
+        const redoStack = this.redoStacks.get(userId) || [];
+        
+        let canUndo = false;
+        if (undoStack.length > 0) {
+            const cleared = this.getClearedIds(userId);
+            canUndo = undoStack.some(id => !cleared.has(id));
+        }
+        return { canUndo, canRedo: redoStack.length > 0 };
+    }
+    
+    // The user's operations hidden by a clear that is in effect: one after
+    // them, not undone, of everything or of the user's own drawings. Layer
+    // operations are never cleared (see client/scene.js).
+    getClearedIds(userId) {
+        const operations = this.getOperations();
+        const cleared = new Set();
+        let hidden = false;
+        for (let i = operations.length - 1; i >= 0; i--) {
+            const op = operations[i];
+            if (op.type === 'undo' || op.type === 'redo' || this.undone.has(op.operationId)) continue;
+            
+            if (hidden && op.userId === userId && op.type !== 'layer') cleared.add(op.operationId);
+            if (op.type === 'clear' && (op.scope !== 'mine' || op.userId === userId)) hidden = true;
+        }
+        return cleared;
+    }
+    
+    // Drop what clears accepted by `isFinal` (ones that can't be undone any
+    // more) hide for good. A clear of everything takes all that came before
+    // it, itself included, but layer operations; it also ends the edits of
+    // what it cleared (see client/scene.js). A clear of a user's own drawings
+    // stays, and only takes the new objects they drew before it that nothing
+    // edits.
+    static foldClears(operations, isFinal) {
+        let clearedAll = -1; // index of the last final clear of everything
+        const clearedMine = new Map(); // userId -> index of their last final clear of their own
+        operations.forEach((op, i) => {
+            if (op.type !== 'clear' || !isFinal(op)) return;
+            if (op.scope === 'mine') {
+                clearedMine.set(op.userId, i);
+            } else {
+                clearedAll = i;
+            }
+        });
+        if (clearedAll === -1 && clearedMine.size === 0) return operations;
+        
+        const edited = new Set();
+        for (const op of operations) {
+            if (EDIT_TYPES.includes(op.type)) op.targets.forEach(key => edited.add(key));
+        }
+        
+        return operations.filter((op, i) => {
+            if (op.type === 'layer') return true;
+            if (i <= clearedAll) return false;
+            if (op.type === 'clear' || EDIT_TYPES.includes(op.type) || op.objectId) return true;
+            
+            return !clearedMine.has(op.userId) || i > clearedMine.get(op.userId) || edited.has(op.operationId);
+        });
+    }
+    
+    // Apply `operations` on top of `base` ({ operations, undone }), keeping z-order
+    static fold(base, operations) {
+        const drawn = [...base.operations];
+        const undone = new Set(base.undone);
+        
+        for (const operation of operations) {
+            switch (operation.type) {
+                case 'undo':
+                    undone.add(operation.targetOperationId);
+                    break;
+                case 'redo':
+                    undone.delete(operation.targetOperationId);
+                    break;
+                default:
+                    drawn.push(operation);
+            }
+        }
+        return { operations: drawn, undone };
     }
     
     getState() {
         return {
+            stateId: this.stateId,
             operations: this.operations,
             version: this.version
         };
     }
 }
 
-module.exports = DrawingState;
\ No newline at end of file
+DrawingState.COMPACT_INTERVAL = 200; // Operations between snapshots
+DrawingState.MAX_UNDO_DEPTH = 100; // Operations each user can undo
+DrawingState.BASE_LAYER_ID = BASE_LAYER_ID;
+
+module.exports = DrawingState;
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+
+// Default persistence store: one directory per room holding an append-only
+// operation log (operations.jsonl), the latest compacted snapshot
+// (snapshot.json), the room's access settings (access.json, see access.js)
+// and the images uploaded to the room (images/). User
+// identities (see identities.js) are kept in identities.json.
+//
+// Any object with the same methods can be passed to the server as `store`:
+//   loadRoom(roomId)                             -> { snapshot, operations, access } | null
+//   statRoom(roomId)                             -> string that changes with the history | null
+//   loadAccess(roomId)                           -> access | null
+//   appendOperation(roomId, operation)
+//   saveSnapshot(roomId, snapshot, tailOperations)
+//   saveAccess(roomId, access)                   (RoomAccess#toJSON)
+//   saveImage(roomId, imageId, data)
+//   loadImage(roomId, imageId)                   -> Buffer | null
+//   closeRoom(roomId)                            (room unloaded from memory)
+//   loadIdentities()                             -> Array (IdentityStore#toJSON)
+//   saveIdentities(identities)
+//   close()
+class FileStore {
+    constructor(dataDir) {
+        this.roomsDir = path.join(dataDir, 'rooms');
+        this.identitiesFile = path.join(dataDir, 'identities.json');
+        this.logs = new Map(); // roomId -> open file descriptor of operations.jsonl
+
+        fs.mkdirSync(this.roomsDir, { recursive: true });
+    }
+
+    listRooms() {
+        return fs.readdirSync(this.roomsDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+    }
+
+    loadRoom(roomId) {
+        const dir = this.roomDir(roomId);
+        if (!fs.existsSync(dir)) return null;
+
+        return {
+            snapshot: this.readSnapshot(roomId),
+            operations: this.readLog(roomId),
+            access: this.readAccess(roomId)
+        };
+    }
+
+    // Sizes and modification times of the history files: cheap to get, and
+    // different whenever an operation or snapshot was written
+    statRoom(roomId) {
+        const dir = this.roomDir(roomId);
+        if (!fs.existsSync(dir)) return null;
+
+        return ['snapshot.json', 'operations.jsonl'].map((name) => {
+            try {
+                const stat = fs.statSync(path.join(dir, name));
+                return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+            } catch (error) {
+                return '-';
+            }
+        }).join(' ');
+    }
+
+    loadAccess(roomId) {
+        return fs.existsSync(this.roomDir(roomId)) ? this.readAccess(roomId) : null;
+    }
+
+    appendOperation(roomId, operation) {
+        // One write per record, so a crash can at worst leave a truncated last line
+        fs.writeSync(this.getLog(roomId), JSON.stringify(operation) + '\n');
+    }
+
+    // Write the snapshot atomically, then rewrite the log to hold only what
+    // came after it. A crash in between leaves older records in the log, which
+    // loading skips by version.
+    saveSnapshot(roomId, snapshot, tailOperations) {
+        const dir = this.roomDir(roomId);
+        fs.mkdirSync(dir, { recursive: true });
+
+        this.writeAtomic(path.join(dir, 'snapshot.json'), JSON.stringify(snapshot));
+
+        this.closeRoom(roomId);
+        this.writeAtomic(
+            path.join(dir, 'operations.jsonl'),
+            tailOperations.map(op => JSON.stringify(op) + '\n').join('')
+        );
+    }
+
+    saveAccess(roomId, access) {
+        const dir = this.roomDir(roomId);
+        fs.mkdirSync(dir, { recursive: true });
+        this.writeAtomic(path.join(dir, 'access.json'), JSON.stringify(access));
+    }
+
+    // Image ids name their content, so an image already stored is kept as is
+    saveImage(roomId, imageId, data) {
+        const dir = path.join(this.roomDir(roomId), 'images');
+        const file = path.join(dir, imageId);
+        if (fs.existsSync(file)) return;
+
+        fs.mkdirSync(dir, { recursive: true });
+        this.writeAtomic(file, data);
+    }
+
+    loadImage(roomId, imageId) {
+        const file = path.join(this.roomDir(roomId), 'images', imageId);
+        return fs.existsSync(file) ? fs.readFileSync(file) : null;
+    }
+
+    loadIdentities() {
+        if (!fs.existsSync(this.identitiesFile)) return [];
+
+        try {
+            return JSON.parse(fs.readFileSync(this.identitiesFile, 'utf8'));
+        } catch (error) {
+            console.error('Ignoring unreadable identities.json:', error.message);
+            return [];
+        }
+    }
+
+    saveIdentities(identities) {
+        this.writeAtomic(this.identitiesFile, JSON.stringify(identities));
+    }
+
+    close() {
+        for (const roomId of [...this.logs.keys()]) {
+            this.closeRoom(roomId);
+        }
+    }
+
+    roomDir(roomId) {
+        return path.join(this.roomsDir, roomId);
+    }
+
+    getLog(roomId) {
+        let fd = this.logs.get(roomId);
+        if (fd === undefined) {
+            fs.mkdirSync(this.roomDir(roomId), { recursive: true });
+            fd = fs.openSync(path.join(this.roomDir(roomId), 'operations.jsonl'), 'a');
+            this.logs.set(roomId, fd);
+        }
+        return fd;
+    }
+
+    closeRoom(roomId) {
+        const fd = this.logs.get(roomId);
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+            this.logs.delete(roomId);
+        }
+    }
+
+    readSnapshot(roomId) {
+        const file = path.join(this.roomDir(roomId), 'snapshot.json');
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`Ignoring unreadable snapshot for room ${roomId}:`, error.message);
+            return null;
+        }
+    }
+
+    // Rooms from before access settings existed have none: they are open
+    // until someone claims them
+    readAccess(roomId) {
+        const file = path.join(this.roomDir(roomId), 'access.json');
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`Ignoring unreadable access settings for room ${roomId}:`, error.message);
+            return null;
+        }
+    }
+
+    readLog(roomId) {
+        const file = path.join(this.roomDir(roomId), 'operations.jsonl');
+        if (!fs.existsSync(file)) return [];
+
+        const content = fs.readFileSync(file, 'utf8');
+        const lines = content.split('\n');
+        const tail = lines.pop(); // '' when the last record was fully written
+        const operations = [];
+
+        for (const line of lines) {
+            if (line.trim() === '') continue;
+            try {
+                operations.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`Skipping corrupt record in ${roomId}/operations.jsonl`);
+            }
+        }
+
+        if (tail !== '') {
+            try {
+                // Only the newline was lost; keep the record and finish the line
+                operations.push(JSON.parse(tail));
+                fs.appendFileSync(file, '\n');
+            } catch (error) {
+                // Torn write: drop it so later appends start on a fresh line
+                console.warn(`Skipping truncated record at the end of ${roomId}/operations.jsonl`);
+                fs.truncateSync(file, Buffer.byteLength(content) - Buffer.byteLength(tail));
+            }
+        }
+
+        return operations;
+    }
+
+    writeAtomic(file, data) {
+        const tmp = `${file}.tmp`;
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, file);
+    }
+}
+
+module.exports = FileStore;
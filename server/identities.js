@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Who is who across connections. Each user gets a secret token the first
+// time they connect; presenting it again in `hello` makes them the same user
+// (same userId, so they can still undo their earlier strokes, and the same
+// display name and color). Only a hash of each token is kept.
+//
+// Emits 'change' whenever an identity is added or updated, so the server can
+// persist the list (see toJSON).
+
+const IDENTITY_TTL = 180 * 24 * 60 * 60 * 1000; // forget users unseen this long (ms)
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('base64url');
+}
+
+class IdentityStore extends EventEmitter {
+    // `saved`: the output of toJSON(), e.g. as persisted by the store
+    constructor(saved = []) {
+        super();
+        this.identities = new Map(); // token hash -> { userId, name, color, lastSeen }
+
+        const cutoff = Date.now() - IDENTITY_TTL;
+        for (const { tokenHash, ...identity } of saved) {
+            if (identity.lastSeen > cutoff) {
+                this.identities.set(tokenHash, identity);
+            }
+        }
+    }
+
+    // The identity a token belongs to, or null
+    resolve(token) {
+        const identity = this.identities.get(hashToken(token));
+        if (!identity) return null;
+
+        identity.lastSeen = Date.now();
+        this.emit('change');
+        return identity;
+    }
+
+    // A new user; returns their identity and the token to give them
+    create(userId, name, color) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const identity = { userId, name, color, lastSeen: Date.now() };
+        this.identities.set(hashToken(token), identity);
+        this.emit('change');
+        return { token, identity };
+    }
+
+    // Change an identity's `name` and/or `color`
+    update(identity, changes) {
+        Object.assign(identity, changes);
+        this.emit('change');
+    }
+
+    toJSON() {
+        return Array.from(this.identities, ([tokenHash, identity]) => ({ tokenHash, ...identity }));
+    }
+}
+
+module.exports = IdentityStore;
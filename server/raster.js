@@ -0,0 +1,483 @@
+const zlib = require('zlib');
+const jpeg = require('jpeg-js');
+
+// Software rasterizer for server-side rendering: pure JavaScript over typed
+// arrays, no native canvas. RasterContext implements the part of
+// CanvasRenderingContext2D that the client's painters (brushes.js
+// paintStroke, canvas.js strokeShape) use, so strokes come out the same
+// shape as in the browser. Pixels are premultiplied RGBA floats (0-1).
+// Uploaded images are decoded with zlib (PNG) and jpeg-js, also pure
+// JavaScript.
+
+const CURVE_STEP = 2; // device pixels per flattened curve segment
+const ELLIPSE_SEGMENTS = 64;
+const SUBSCANLINES = 4; // vertical samples per pixel row when filling
+const MAX_DECODED_PIXELS = 4096 * 4096; // larger images aren't decoded (their header is all it takes to claim a size)
+
+class Bitmap {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.data = new Float32Array(width * height * 4);
+    }
+
+    fill(color) {
+        const [r, g, b] = parseColor(color);
+        for (let i = 0; i < this.data.length; i += 4) {
+            this.data[i] = r;
+            this.data[i + 1] = g;
+            this.data[i + 2] = b;
+            this.data[i + 3] = 1;
+        }
+    }
+
+    // Blend a color (straight RGB, alpha `a`) into pixel `i`
+    blend(i, r, g, b, a, mode) {
+        const d = this.data;
+        i *= 4;
+        if (mode === 'destination-out') {
+            d[i] *= 1 - a;
+            d[i + 1] *= 1 - a;
+            d[i + 2] *= 1 - a;
+            d[i + 3] *= 1 - a;
+            return;
+        }
+        d[i] = r * a + d[i] * (1 - a);
+        d[i + 1] = g * a + d[i + 1] * (1 - a);
+        d[i + 2] = b * a + d[i + 2] * (1 - a);
+        d[i + 3] = a + d[i + 3] * (1 - a);
+    }
+
+    // Composite `source` (premultiplied) onto this bitmap with its top-left
+    // at (x, y), scaled by `opacity`, with source-over or multiply
+    composite(source, x, y, opacity = 1, mode = 'source-over') {
+        const d = this.data;
+        const s = source.data;
+        for (let row = Math.max(0, -y); row < source.height && row + y < this.height; row++) {
+            for (let col = Math.max(0, -x); col < source.width && col + x < this.width; col++) {
+                const si = (row * source.width + col) * 4;
+                const sa = s[si + 3] * opacity;
+                if (sa === 0) continue;
+                const di = ((row + y) * this.width + col + x) * 4;
+                const da = d[di + 3];
+                for (let k = 0; k < 3; k++) {
+                    const sc = s[si + k] * opacity;
+                    d[di + k] = mode === 'multiply'
+                        ? sc * (1 - da) + d[di + k] * (1 - sa) + sc * d[di + k]
+                        : sc + d[di + k] * (1 - sa);
+                }
+                d[di + 3] = sa + da * (1 - sa);
+            }
+        }
+    }
+}
+
+function parseColor(color) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(color || '');
+    const rgb = match ? parseInt(match[1], 16) : 0;
+    return [(rgb >> 16) / 255, ((rgb >> 8) & 0xFF) / 255, (rgb & 0xFF) / 255];
+}
+
+function distanceToSegment(px, py, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSq));
+    return Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+}
+
+const STATE = ['strokeStyle', 'fillStyle', 'lineWidth', 'lineCap', 'lineJoin', 'globalAlpha', 'globalCompositeOperation', 'matrix'];
+
+class RasterContext {
+    constructor(bitmap) {
+        this.bitmap = bitmap;
+        this.states = [];
+        this.subpaths = []; // arrays of device points; `closed` marks closed ones
+        this.strokeStyle = '#000000';
+        this.fillStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'round';
+        this.lineJoin = 'round';
+        this.globalAlpha = 1;
+        this.globalCompositeOperation = 'source-over';
+        this.matrix = [1, 0, 0, 1, 0, 0];
+    }
+
+    save() {
+        this.states.push(STATE.map(key => this[key]));
+    }
+
+    restore() {
+        const state = this.states.pop();
+        if (state) STATE.forEach((key, i) => { this[key] = state[i]; });
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = [a, b, c, d, e, f];
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [ma, mb, mc, md, me, mf] = this.matrix;
+        this.matrix = [
+            ma * a + mc * b, mb * a + md * b,
+            ma * c + mc * d, mb * c + md * d,
+            ma * e + mc * f + me, mb * e + md * f + mf
+        ];
+    }
+
+    toDevice(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return { x: a * x + c * y + e, y: b * x + d * y + f };
+    }
+
+    beginPath() {
+        this.subpaths = [];
+    }
+
+    moveTo(x, y) {
+        this.subpaths.push([this.toDevice(x, y)]);
+    }
+
+    lineTo(x, y) {
+        if (this.subpaths.length === 0) this.moveTo(x, y);
+        this.subpaths[this.subpaths.length - 1].push(this.toDevice(x, y));
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        if (this.subpaths.length === 0) this.moveTo(cx, cy);
+        const points = this.subpaths[this.subpaths.length - 1];
+        const start = points[points.length - 1];
+        const control = this.toDevice(cx, cy);
+        const end = this.toDevice(x, y);
+        const length = Math.hypot(control.x - start.x, control.y - start.y) + Math.hypot(end.x - control.x, end.y - control.y);
+        const count = Math.max(1, Math.min(64, Math.ceil(length / CURVE_STEP)));
+        for (let k = 1; k <= count; k++) {
+            const t = k / count;
+            const u = 1 - t;
+            points.push({
+                x: u * u * start.x + 2 * u * t * control.x + t * t * end.x,
+                y: u * u * start.y + 2 * u * t * control.y + t * t * end.y
+            });
+        }
+    }
+
+    closePath() {
+        const points = this.subpaths[this.subpaths.length - 1];
+        if (points) points.closed = true;
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    // Whole ellipses only, which is all strokeShape() draws
+    ellipse(x, y, rx, ry) {
+        for (let k = 0; k <= ELLIPSE_SEGMENTS; k++) {
+            const angle = k / ELLIPSE_SEGMENTS * Math.PI * 2;
+            this[k === 0 ? 'moveTo' : 'lineTo'](x + rx * Math.cos(angle), y + ry * Math.sin(angle));
+        }
+        this.closePath();
+    }
+
+    // Device pixel box around points, grown by `pad`, clipped to the bitmap
+    area(points, pad) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const x0 = Math.max(0, Math.floor(Math.min(...xs) - pad));
+        const y0 = Math.max(0, Math.floor(Math.min(...ys) - pad));
+        const x1 = Math.min(this.bitmap.width, Math.ceil(Math.max(...xs) + pad));
+        const y1 = Math.min(this.bitmap.height, Math.ceil(Math.max(...ys) + pad));
+        return x1 > x0 && y1 > y0 ? { x0, y0, x1, y1 } : null;
+    }
+
+    // Blend the current color into every pixel of `area` by its coverage
+    paint(area, coverage, color) {
+        const [r, g, b] = parseColor(color);
+        const width = area.x1 - area.x0;
+        for (let i = 0; i < coverage.length; i++) {
+            if (coverage[i] <= 0) continue;
+            const x = area.x0 + i % width;
+            const y = area.y0 + Math.floor(i / width);
+            this.bitmap.blend(y * this.bitmap.width + x, r, g, b,
+                Math.min(1, coverage[i]) * this.globalAlpha, this.globalCompositeOperation);
+        }
+    }
+
+    // Every subpath as round-capped, round-joined segments: each pixel is
+    // covered by the segment nearest to it, so joints are not painted twice
+    stroke() {
+        const [a, b, c, d] = this.matrix;
+        const radius = this.lineWidth * Math.sqrt(Math.abs(a * d - b * c)) / 2;
+        const reach = Math.max(radius, 0.5);
+        const thin = Math.min(1, radius * 2); // lines under a pixel wide are fainter instead
+
+        const points = this.subpaths.filter(path => path.length > 1).flat();
+        const area = points.length > 0 && this.area(points, reach + 1);
+        if (!area) return;
+
+        const width = area.x1 - area.x0;
+        const coverage = new Float32Array(width * (area.y1 - area.y0));
+        for (const path of this.subpaths) {
+            if (path.length < 2) continue;
+            const segments = path.map((point, i) => [point, path[i + 1]]).slice(0, -1);
+            if (path.closed) segments.push([path[path.length - 1], path[0]]);
+
+            for (const [from, to] of segments) {
+                const box = this.area([from, to], reach + 1);
+                if (!box) continue;
+                for (let y = box.y0; y < box.y1; y++) {
+                    for (let x = box.x0; x < box.x1; x++) {
+                        const cover = Math.min(1, reach + 0.5 - distanceToSegment(x + 0.5, y + 0.5, from, to)) * thin;
+                        const i = (y - area.y0) * width + x - area.x0;
+                        if (cover > coverage[i]) coverage[i] = cover;
+                    }
+                }
+            }
+        }
+        this.paint(area, coverage, this.strokeStyle);
+    }
+
+    // Nonzero fill of the (implicitly closed) subpaths, sampled on
+    // SUBSCANLINES lines per pixel row with exact horizontal coverage
+    fill() {
+        const paths = this.subpaths.filter(path => path.length > 2);
+        const area = paths.length > 0 && this.area(paths.flat(), 1);
+        if (!area) return;
+
+        const edges = [];
+        for (const path of paths) {
+            path.forEach((from, i) => {
+                const to = path[(i + 1) % path.length];
+                if (from.y !== to.y) edges.push({ from, to, dir: to.y > from.y ? 1 : -1 });
+            });
+        }
+
+        const width = area.x1 - area.x0;
+        const coverage = new Float32Array(width * (area.y1 - area.y0));
+        for (let y = area.y0; y < area.y1; y++) {
+            for (let s = 0; s < SUBSCANLINES; s++) {
+                const sy = y + (s + 0.5) / SUBSCANLINES;
+                const crossings = [];
+                for (const { from, to, dir } of edges) {
+                    if ((sy >= from.y && sy < to.y) || (sy >= to.y && sy < from.y)) {
+                        crossings.push({ x: from.x + (sy - from.y) * (to.x - from.x) / (to.y - from.y), dir });
+                    }
+                }
+                crossings.sort((p, q) => p.x - q.x);
+
+                let winding = 0;
+                crossings.forEach((crossing, i) => {
+                    winding += crossing.dir;
+                    if (winding === 0 || i === crossings.length - 1) return;
+                    const xa = Math.max(area.x0, crossing.x);
+                    const xb = Math.min(area.x1, crossings[i + 1].x);
+                    for (let x = Math.floor(xa); x < xb; x++) {
+                        const overlap = Math.min(xb, x + 1) - Math.max(xa, x);
+                        if (overlap > 0) coverage[(y - area.y0) * width + x - area.x0] += overlap / SUBSCANLINES;
+                    }
+                });
+            }
+        }
+        this.paint(area, coverage, this.fillStyle);
+    }
+
+    fillRect(x, y, width, height) {
+        const subpaths = this.subpaths;
+        this.subpaths = [];
+        this.rect(x, y, width, height);
+        this.fill();
+        this.subpaths = subpaths;
+    }
+
+    // Paint the area `bounds` (in current coordinates) from `sample(x, y)`,
+    // which returns straight [r, g, b, a] (0-1) or null, one sample per
+    // device pixel (images and fill regions)
+    drawSampled(bounds, sample) {
+        const corners = [
+            this.toDevice(bounds.x, bounds.y), this.toDevice(bounds.x + bounds.width, bounds.y),
+            this.toDevice(bounds.x, bounds.y + bounds.height), this.toDevice(bounds.x + bounds.width, bounds.y + bounds.height)
+        ];
+        const area = this.area(corners, 0);
+        if (!area) return;
+
+        const [a, b, c, d, e, f] = this.matrix;
+        const det = a * d - b * c;
+        if (det === 0) return;
+        for (let y = area.y0; y < area.y1; y++) {
+            for (let x = area.x0; x < area.x1; x++) {
+                const dx = x + 0.5 - e;
+                const dy = y + 0.5 - f;
+                const color = sample((d * dx - c * dy) / det, (a * dy - b * dx) / det);
+                if (!color || color[3] === 0) continue;
+                this.bitmap.blend(y * this.bitmap.width + x, color[0], color[1], color[2],
+                    color[3] * this.globalAlpha, this.globalCompositeOperation);
+            }
+        }
+    }
+}
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// 8-bit RGBA PNG of a bitmap
+function encodePng(bitmap) {
+    const { width, height, data } = bitmap;
+    const raw = Buffer.alloc((width * 4 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * (width * 4 + 1);
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const alpha = data[i + 3];
+            for (let k = 0; k < 3; k++) {
+                raw[row + 1 + x * 4 + k] = alpha > 0 ? Math.round(Math.min(1, data[i + k] / alpha) * 255) : 0;
+            }
+            raw[row + 1 + x * 4 + 3] = Math.round(Math.min(1, alpha) * 255);
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // color type -> samples per pixel
+
+// Decode a non-interlaced PNG of 8 or 16 bits per sample into
+// { width, height, pixels } with 8-bit straight RGBA pixels; null for
+// anything else, and for images over MAX_DECODED_PIXELS
+function decodePng(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') header = data;
+        else if (type === 'PLTE') palette = data;
+        else if (type === 'tRNS') transparency = data;
+        else if (type === 'IDAT') idat.push(data);
+        else if (type === 'IEND') break;
+        offset += length + 12;
+    }
+    if (!header) return null;
+
+    const width = header.readUInt32BE(0);
+    const height = header.readUInt32BE(4);
+    const depth = header[8];
+    const colorType = header[9];
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels || header[12] !== 0 || !(depth === 8 || (depth === 16 && colorType !== 3))) return null;
+    if (colorType === 3 && !palette) return null;
+    if (width === 0 || height === 0 || width * height > MAX_DECODED_PIXELS) return null;
+
+    // The header fixes the size of the pixel data: inflating stops there
+    // rather than at whatever the compressed data expands to
+    const bpp = channels * depth / 8;
+    const stride = width * bpp;
+    let raw;
+    try {
+        raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: (stride + 1) * height });
+    } catch (error) {
+        return null;
+    }
+
+    // Undo the per-row filters
+    if (raw.length < (stride + 1) * height) return null;
+    const samples = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = y * stride;
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bpp ? samples[out + i - bpp] : 0;
+            const up = y > 0 ? samples[out - stride + i] : 0;
+            const upLeft = y > 0 && i >= bpp ? samples[out - stride + i - bpp] : 0;
+            let predictor = 0;
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left);
+                const pb = Math.abs(p - up);
+                const pc = Math.abs(p - upLeft);
+                predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+            }
+            samples[out + i] = (line[i] + predictor) & 0xFF;
+        }
+    }
+
+    const pixels = new Uint8Array(width * height * 4);
+    const size = depth / 8; // bytes per sample; 16-bit samples keep their high byte
+    for (let p = 0; p < width * height; p++) {
+        const sample = (k) => samples[p * bpp + k * size];
+        let rgba;
+        if (colorType === 3) {
+            const index = sample(0);
+            rgba = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2],
+                transparency && index < transparency.length ? transparency[index] : 255];
+        } else if (colorType === 0) {
+            rgba = [sample(0), sample(0), sample(0), 255];
+        } else if (colorType === 4) {
+            rgba = [sample(0), sample(0), sample(0), sample(1)];
+        } else {
+            rgba = [sample(0), sample(1), sample(2), colorType === 6 ? sample(3) : 255];
+        }
+        pixels.set(rgba, p * 4);
+    }
+    return { width, height, pixels };
+}
+
+// Decode a JPEG into { width, height, pixels } like decodePng; null when it
+// can't be read or is over MAX_DECODED_PIXELS
+function decodeJpeg(buffer) {
+    try {
+        const { width, height, data } = jpeg.decode(buffer, {
+            useTArray: true,
+            formatAsRGBA: true,
+            maxResolutionInMP: MAX_DECODED_PIXELS / 1e6,
+            maxMemoryUsageInMB: 256
+        });
+        return { width, height, pixels: data };
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { Bitmap, RasterContext, encodePng, decodePng, decodeJpeg };
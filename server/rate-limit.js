@@ -0,0 +1,23 @@
+// Token bucket: holds up to `burst` tokens and refills at `rate` tokens per
+// second. An action is allowed when it can take a token, so a client may
+// briefly exceed the rate by `burst` but not keep it up.
+class TokenBucket {
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+    }
+
+    take(count = 1) {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+
+        if (this.tokens < count) return false;
+        this.tokens -= count;
+        return true;
+    }
+}
+
+module.exports = TokenBucket;
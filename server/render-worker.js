@@ -0,0 +1,208 @@
+const path = require('path');
+const { parentPort } = require('worker_threads');
+const { pathToFileURL } = require('url');
+const { Bitmap, RasterContext, encodePng, decodePng, decodeJpeg } = require('./raster');
+
+// The drawing half of render.js, in a worker thread so that rasterizing never
+// holds up the WebSocket clients. The scene is rebuilt from the room's history
+// with the client's own modules (scene, brushes, SVG export), so the result
+// matches what clients show; PNGs are rasterized by raster.js.
+//
+// Jobs: { id, format, history, images, width, background, maxSize }, where
+// `history` is DrawingState#getSnapshot() and `images` maps imageIds to their
+// bytes. Each is answered with { id, body, approximations } or { id, error };
+// `approximations` lists what a PNG shows only roughly: 'text' (drawn as
+// bars, see paintText) and 'images' that couldn't be decoded (gray boxes).
+
+const TEXT_CHAR_WIDTH = 0.55; // average glyph width, in font sizes
+const IMAGE_MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg' };
+const IMAGE_DECODERS = { png: decodePng, jpg: decodeJpeg };
+const PLACEHOLDER = [0.85, 0.85, 0.85, 1]; // images we can't decode
+
+let clientModules = null;
+
+// The client's ES modules, imported once; there is no canvas to measure
+// text with, so text widths are estimated from the character count
+function loadClient() {
+    if (!clientModules) {
+        const load = (name) => import(pathToFileURL(path.join(__dirname, '../client', name)).href);
+        clientModules = Promise.all(['scene.js', 'fill.js', 'canvas.js', 'brushes.js', 'export.js'].map(load))
+            .then(([scene, fill, canvas, brushes, exporter]) => {
+                scene.setTextMeasure((line, fontSize) => line.length * fontSize * TEXT_CHAR_WIDTH);
+                return { ...scene, ...fill, ...canvas, ...brushes, ...exporter };
+            });
+    }
+    return clientModules;
+}
+
+// The drawing area: the content bounds, or the home frame when empty
+function getArea(client, scene) {
+    const bounds = scene.getContentBounds() || { x: 0, y: 0, width: client.BOARD_WIDTH, height: client.BOARD_HEIGHT };
+    const x = Math.floor(bounds.x);
+    const y = Math.floor(bounds.y);
+    return { x, y, width: Math.ceil(bounds.x + bounds.width) - x, height: Math.ceil(bounds.y + bounds.height) - y };
+}
+
+// Text as "greeked" bars in its color, one per word: the server has no fonts
+function paintText(client, ctx, { x, y, text, fontSize, color }) {
+    const lineHeight = fontSize * client.TEXT_LINE_HEIGHT;
+    const charWidth = fontSize * TEXT_CHAR_WIDTH;
+    ctx.fillStyle = color;
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 0.6;
+
+    text.split('\n').forEach((line, i) => {
+        for (const word of line.matchAll(/\S+/g)) {
+            ctx.fillRect(x + word.index * charWidth, y + i * lineHeight + lineHeight * 0.3,
+                word[0].length * charWidth, fontSize * 0.5);
+        }
+    });
+}
+
+function paintFill(client, ctx, { region, color }) {
+    if (!region) return;
+
+    const rgb = parseInt(color.slice(1), 16);
+    const inside = [(rgb >> 16) / 255, ((rgb >> 8) & 0xFF) / 255, (rgb & 0xFF) / 255, 1];
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.drawSampled({ x: region.x, y: region.y, width: region.cols * region.cell, height: region.rows * region.cell },
+        (x, y) => client.regionContains(region, { x, y }) ? inside : null);
+}
+
+// Nearest-neighbour sampling of a decoded image; a gray box for images that
+// couldn't be decoded
+function paintImage(ctx, op, image) {
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.drawSampled(op, (x, y) => {
+        if (!image) return PLACEHOLDER;
+        const col = Math.min(image.width - 1, Math.floor((x - op.x) / op.width * image.width));
+        const row = Math.min(image.height - 1, Math.floor((y - op.y) / op.height * image.height));
+        const i = (row * image.width + col) * 4;
+        return [image.pixels[i] / 255, image.pixels[i + 1] / 255, image.pixels[i + 2] / 255, image.pixels[i + 3] / 255];
+    });
+}
+
+// Paint a stroke opaque on a scratch bitmap covering its bounds, then
+// composite it with the stroke's opacity and blend mode (as canvas.js does)
+function paintLayered(client, ctx, op) {
+    const box = client.Scene.getLocalBounds(op);
+    const corners = [
+        ctx.toDevice(box.x, box.y), ctx.toDevice(box.x + box.width, box.y),
+        ctx.toDevice(box.x, box.y + box.height), ctx.toDevice(box.x + box.width, box.y + box.height)
+    ];
+    const area = ctx.area(corners, 1);
+    if (!area) return;
+
+    const layer = new RasterContext(new Bitmap(area.x1 - area.x0, area.y1 - area.y0));
+    const [a, b, c, d, e, f] = ctx.matrix;
+    layer.setTransform(a, b, c, d, e - area.x0, f - area.y0);
+    client.paintStroke(layer, op);
+    ctx.bitmap.composite(layer.bitmap, area.x0, area.y0, client.getOpacity(op), client.getBrush(op).blend);
+}
+
+function paintOperation(client, ctx, op, images) {
+    ctx.save();
+    if (op.matrix) ctx.transform(...op.matrix);
+
+    if (op.type === 'text') {
+        paintText(client, ctx, op);
+    } else if (op.type === 'fill') {
+        paintFill(client, ctx, op);
+    } else if (op.type === 'image') {
+        paintImage(ctx, op, images.get(op.imageId));
+    } else if (op.type === 'shape') {
+        client.strokeShape(ctx, op);
+    } else if (op.points && op.points.length >= 2) {
+        if (client.isLayered(op)) {
+            paintLayered(client, ctx, op);
+        } else {
+            client.paintStroke(ctx, op);
+        }
+    }
+    ctx.restore();
+}
+
+// Replay the room's snapshot and later operations, like a joining client
+function buildScene(client, history) {
+    const scene = new client.Scene();
+    const hidden = new Set(history.undone);
+    for (const op of history.operations.concat(history.tail)) {
+        scene.apply(op);
+        if (hidden.has(op.operationId)) {
+            scene.markUndone(op.operationId);
+        }
+    }
+    return scene;
+}
+
+function renderSvg(client, scene, images, background) {
+    return client.exportSvg(scene, {
+        background,
+        imageData: async (op) => {
+            const data = images.get(op.imageId);
+            if (!data) throw new Error('Image not found');
+            return `data:${IMAGE_MIME_TYPES[path.extname(op.imageId).slice(1)]};base64,${data.toString('base64')}`;
+        }
+    });
+}
+
+function renderPng(client, scene, images, { width, background, maxSize }) {
+    const area = getArea(client, scene);
+    const scale = Math.min(width ? width / area.width : 1,
+        maxSize / area.width, maxSize / area.height);
+
+    const bitmap = new Bitmap(Math.max(1, Math.round(area.width * scale)), Math.max(1, Math.round(area.height * scale)));
+    if (background) bitmap.fill(background);
+
+    const visible = scene.getVisibleOperations();
+    const decoded = new Map(); // imageId -> decoded image, or null
+    for (const op of visible) {
+        if (op.type !== 'image' || decoded.has(op.imageId)) continue;
+        const data = images.get(op.imageId);
+        decoded.set(op.imageId, data ? IMAGE_DECODERS[path.extname(op.imageId).slice(1)](data) : null);
+    }
+
+    const newContext = (target) => {
+        const ctx = new RasterContext(target);
+        ctx.setTransform(scale, 0, 0, scale, -area.x * scale, -area.y * scale);
+        return ctx;
+    };
+    const ctx = newContext(bitmap);
+
+    // Layers at full opacity without pixel-eraser strokes are painted
+    // straight onto the image; others on their own bitmap first
+    for (const layer of scene.getLayers()) {
+        if (!layer.visible) continue;
+        const operations = visible.filter(op => client.Scene.layerOf(op) === layer.id);
+        if (operations.length === 0) continue;
+
+        if (layer.opacity >= 1 && !operations.some(op => op.tool === 'eraser')) {
+            operations.forEach(op => paintOperation(client, ctx, op, decoded));
+            continue;
+        }
+
+        const layerCtx = newContext(new Bitmap(bitmap.width, bitmap.height));
+        operations.forEach(op => paintOperation(client, layerCtx, op, decoded));
+        bitmap.composite(layerCtx.bitmap, 0, 0, layer.opacity);
+    }
+
+    const approximations = [];
+    if (visible.some(op => op.type === 'text')) approximations.push('text');
+    if ([...decoded.values()].some(image => !image)) approximations.push('images');
+    return { body: encodePng(bitmap), approximations };
+}
+
+parentPort.on('message', async (job) => {
+    try {
+        const client = await loadClient();
+        const scene = buildScene(client, job.history);
+        const images = new Map(Object.entries(job.images)
+            .map(([imageId, data]) => [imageId, Buffer.from(data.buffer, data.byteOffset, data.byteLength)]));
+        const result = job.format === 'svg'
+            ? { body: await renderSvg(client, scene, images, job.background), approximations: [] }
+            : renderPng(client, scene, images, job);
+        parentPort.postMessage({ id: job.id, ...result });
+    } catch (error) {
+        parentPort.postMessage({ id: job.id, error: error.message });
+    }
+});
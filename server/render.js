@@ -0,0 +1,131 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Server-side rendering of a room's drawing, for links and thumbnails that
+// don't need a browser. The drawing happens in a worker thread
+// (render-worker.js), one render at a time, so a slow render never holds up
+// the WebSocket clients; renders wanted while MAX_PENDING_RENDERS are waiting
+// are turned away rather than queued.
+
+const MAX_RENDER_SIZE = 2048; // pixels per side
+const MAX_CACHED_RENDERS = 64;
+const MAX_PENDING_RENDERS = 4;
+
+class RoomRenderer {
+    // `loadImage(roomId, imageId)` returns an uploaded image's bytes or null
+    constructor({ loadImage }) {
+        this.loadImage = loadImage;
+        this.cache = new Map(); // `${roomId} ${format} ${options}` -> { tag, render }, oldest first
+        this.worker = null; // started on the first render
+        this.jobs = new Map(); // job id -> { resolve, reject } of renders sent to the worker
+        this.nextJobId = 1;
+    }
+
+    // The version tag a render of the room is cached and validated by
+    static getTag(room) {
+        return `${room.state.stateId}-${room.state.version}`;
+    }
+
+    // The room's current drawing as { body, approximations }: `body` is SVG
+    // text, or a PNG buffer `width` pixels wide (the drawing's own size when
+    // null), and `approximations` lists what the PNG shows only roughly
+    // ('text', 'images'; see render-worker.js). `background` is a #rrggbb
+    // color or null for transparent. Rejects with a `status` 503 error when
+    // too many renders are waiting.
+    async render(room, format, { width = null, background = null } = {}) {
+        const key = `${room.id} ${format} ${width} ${background}`;
+        const tag = RoomRenderer.getTag(room);
+        const cached = this.getCached(room.id, tag, format, { width, background });
+        if (cached) return cached;
+
+        if (this.jobs.size >= MAX_PENDING_RENDERS) {
+            throw Object.assign(new Error('Too many renders in progress, try again shortly'), { status: 503 });
+        }
+
+        const history = room.state.getSnapshot();
+        const render = await this.run({
+            format,
+            history,
+            images: this.getImages(room.id, history),
+            width,
+            background,
+            maxSize: MAX_RENDER_SIZE
+        });
+
+        this.cache.delete(key);
+        this.cache.set(key, { tag, render });
+        if (this.cache.size > MAX_CACHED_RENDERS) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return render;
+    }
+
+    // A render of the room at version tag `tag` made earlier, or null
+    getCached(roomId, tag, format, { width = null, background = null } = {}) {
+        const cached = this.cache.get(`${roomId} ${format} ${width} ${background}`);
+        return cached && cached.tag === tag ? cached.render : null;
+    }
+
+    // The bytes of every image the history places, for the worker to draw
+    getImages(roomId, history) {
+        const images = {};
+        for (const op of history.operations.concat(history.tail)) {
+            if (op.type !== 'image' || op.imageId in images) continue;
+            const data = this.loadImage(roomId, op.imageId);
+            if (data) images[op.imageId] = data;
+        }
+        return images;
+    }
+
+    run(job) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextJobId++;
+            this.jobs.set(id, { resolve, reject });
+            this.getWorker().postMessage({ id, ...job });
+        });
+    }
+
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        const worker = new Worker(path.join(__dirname, 'render-worker.js'));
+        worker.unref(); // renders in progress don't keep the process alive
+        worker.on('message', ({ id, body, approximations, error }) => {
+            const job = this.jobs.get(id);
+            this.jobs.delete(id);
+            if (!job) return;
+
+            if (error) {
+                job.reject(new Error(error));
+            } else {
+                job.resolve({
+                    body: typeof body === 'string' ? body : Buffer.from(body.buffer, body.byteOffset, body.byteLength),
+                    approximations
+                });
+            }
+        });
+
+        // A worker that dies fails the renders it had; the next one starts afresh
+        worker.on('error', (error) => this.stopWorker(worker, error));
+        worker.on('exit', (code) => this.stopWorker(worker, new Error(`Render worker exited with code ${code}`)));
+        this.worker = worker;
+        return worker;
+    }
+
+    stopWorker(worker, error) {
+        if (this.worker !== worker) return;
+
+        this.worker = null;
+        for (const job of this.jobs.values()) job.reject(error);
+        this.jobs.clear();
+        worker.terminate();
+    }
+
+    close() {
+        if (this.worker) this.stopWorker(this.worker, new Error('Renderer closed'));
+    }
+}
+
+RoomRenderer.MAX_RENDER_SIZE = MAX_RENDER_SIZE;
+
+module.exports = RoomRenderer;
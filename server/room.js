@@ -0,0 +1,48 @@
+const DrawingState = require('./drawing-state');
+const RoomAccess = require('./access');
+
+class Room {
+    constructor(id, state = new DrawingState(), access = new RoomAccess()) {
+        this.id = id;
+        this.clients = new Set(); // connections currently in this room; a user may have several (tabs)
+        this.state = state; // Authoritative, versioned history of this canvas
+        this.access = access; // Owner, roles, invites, password and lock
+        this.activeStrokes = new Map(); // `${userId}:${strokeId}` -> stroke still being drawn
+        this.images = new Map(); // imageId -> uploaded image data, when the server has no store
+        this.createdAt = Date.now();
+    }
+
+    addClient(client) {
+        this.clients.add(client);
+    }
+
+    removeClient(client) {
+        this.clients.delete(client);
+    }
+
+    // The user's connections in this room
+    clientsOf(userId) {
+        return [...this.clients].filter(client => client.userId === userId);
+    }
+
+    hasUser(userId) {
+        return this.clientsOf(userId).length > 0;
+    }
+
+    // Everyone present, once each
+    userIds() {
+        return [...new Set([...this.clients].map(client => client.userId))];
+    }
+
+    isEmpty() {
+        return this.clients.size === 0;
+    }
+
+    static isValidId(roomId) {
+        return typeof roomId === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(roomId);
+    }
+}
+
+Room.DEFAULT_ID = 'lobby';
+
+module.exports = Room;
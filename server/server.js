@@ -1,164 +1,1008 @@
 const express = require('express');
+const crypto = require('crypto');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const Room = require('./room');
+const RoomAccess = require('./access');
+const DrawingState = require('./drawing-state');
+const FileStore = require('./file-store');
+const RoomRenderer = require('./render');
+const TokenBucket = require('./rate-limit');
+const IdentityStore = require('./identities');
+
+const SHAPE_TYPES = ['line', 'rect', 'ellipse', 'arrow'];
+const BRUSH_TYPES = ['pen', 'marker', 'highlighter', 'pencil', 'spray', 'calligraphy'];
+const MAX_TEXT_LENGTH = 5000;
+const MAX_TARGETS = 1000;
+const MAX_ERASE_POINTS = 100000;
+const MAX_ERASE_PIECES = 1000; // pieces left of one stroke
+const MAX_LAYER_NAME = 50;
+const LAYER_ACTIONS = ['add', 'update', 'move'];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_IMAGE_SIZE = 100000; // board units
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg' }; // file extension -> MIME type
+const STROKE_TOOLS = ['brush', 'eraser'];
+const MAX_IMPORT_OBJECTS = 50000;
+const MAX_IMPORT_LAYERS = 100;
+const MAX_IMPORT_BYTES = 16 * 1024 * 1024;
+const MAX_STORED_TAGS = 1000; // render tags remembered for rooms nobody is in
+const { BASE_LAYER_ID } = DrawingState; // the layer every board starts with
+const MAX_STROKE_POINTS = 50000;
+const MAX_ACTIVE_STROKES = 8; // strokes one user may have in progress at once
+const HELLO_TIMEOUT = 10000; // ms a new connection has to say hello
+const VIEWER_TYPES = ['cursor', 'viewport']; // room messages that don't need edit rights
+const OWNER_TYPES = ['invite', 'access', 'kick']; // room messages only the owner may send
+const USER_COLORS = [
+    '#FF6B6B', '#4ECDC4', '#FFD166', '#06D6A0',
+    '#118AB2', '#073B4C', '#7209B7', '#F72585',
+    '#3A0CA3', '#4361EE', '#4CC9F0'
+];
+
+// Per-connection message budgets, as token buckets: `rate` messages per
+// second, in bursts of up to `burst`. Message types not listed count as draw.
+const RATE_LIMITS = {
+    draw: { rate: 60, burst: 200 },
+    cursor: { rate: 40, burst: 80 },
+    clear: { rate: 0.2, burst: 3 },
+    upload: { rate: 0.5, burst: 10 } // image and board uploads over HTTP (see authorizeUpload)
+};
+const RATE_LIMIT_OF = { cursor: 'cursor', viewport: 'cursor', ping: 'cursor', clear: 'clear' };
+
+// Password guesses per IP address, whichever connection they come on: each
+// one costs a scrypt hash, and a room password shouldn't be guessed quickly
+const PASSWORD_ATTEMPTS = { rate: 0.1, burst: 10 };
+
+// Rejected messages a connection gets away with: a burst of STRIKES, one
+// more every STRIKE_REFILL seconds; past that it is disconnected
+const STRIKES = 20;
+const STRIKE_REFILL = 3;
+
+// A display name as others see it: on one line, without control characters
+// or surrounding space, and at most maxLength long; null when nothing is left
+function displayName(name, maxLength) {
+    const cleaned = name.replace(/[\u0000-\u001f\u007f-\u009f]/g, '').replace(/\s+/g, ' ').trim();
+    return cleaned ? cleaned.slice(0, maxLength) : null;
+}
+
+// Object ids a transform/delete acts on
+function isValidTargets(targets) {
+    return Array.isArray(targets) && targets.length > 0 && targets.length <= MAX_TARGETS &&
+        targets.every(target => typeof target === 'string');
+}
+
+// Layer an object is drawn on; objects without one are on the base layer
+function layerIdOf(data) {
+    return typeof data.layerId === 'string' && data.layerId.length <= 64 ? data.layerId : undefined;
+}
+
+// Uploaded images are named by a hash of their content plus the extension of
+// their actual format
+function isValidImageId(imageId) {
+    return typeof imageId === 'string' && /^[0-9a-f]{32}\.(png|jpg)$/.test(imageId);
+}
+
+// Extension of the image format the data is in, judged by its signature
+// rather than by what the uploader claims
+function sniffImageType(data) {
+    if (data.length > 8 && data.readUInt32BE(0) === 0x89504E47 && data.readUInt32BE(4) === 0x0D0A1A0A) return 'png';
+    if (data.length > 3 && data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) return 'jpg';
+    return null;
+}
+
+// Brush engine settings of a stroke (see client/brushes.js); anything
+// unknown falls back to an opaque pen
+function brushSettings(data) {
+    return {
+        brush: BRUSH_TYPES.includes(data.brush) ? data.brush : 'pen',
+        opacity: Number.isFinite(data.opacity) ? Math.min(1, Math.max(0.05, data.opacity)) : 1,
+        seed: Number.isInteger(data.seed) ? data.seed >>> 0 : 0
+    };
+}
+
+// An invertible affine matrix [a, b, c, d, e, f]
+function isValidMatrix(matrix) {
+    return Array.isArray(matrix) && matrix.length === 6 && matrix.every(Number.isFinite) &&
+        matrix[0] * matrix[3] - matrix[1] * matrix[2] !== 0;
+}
+
+// The fields of each kind of object operation, validated; shared by the
+// message handlers and board imports. Each returns null for invalid data.
+
+// Strokes normally stream in (stroke-begin / points / end); this is for
+// strokes that arrive whole
+function strokeFields(data) {
+    if (!STROKE_TOOLS.includes(data.tool) || !(data.width > 0) || !Array.isArray(data.points) || data.points.length < 2) return null;
+    if (!data.points.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.y))) return null;
+    
+    return {
+        tool: data.tool,
+        color: data.color,
+        width: data.width,
+        ...brushSettings(data),
+        layerId: layerIdOf(data),
+        points: data.points.map(point => (Number.isFinite(point.p)
+            ? { x: point.x, y: point.y, p: point.p }
+            : { x: point.x, y: point.y }))
+    };
+}
+
+function shapeFields(data) {
+    if (!SHAPE_TYPES.includes(data.shape) || !Array.isArray(data.points) || data.points.length !== 2) return null;
+    
+    return {
+        shape: data.shape,
+        color: data.color,
+        width: data.width,
+        layerId: layerIdOf(data),
+        points: data.points.map(point => ({ x: point.x, y: point.y }))
+    };
+}
+
+function textFields(data) {
+    if (typeof data.text !== 'string' || data.text.length > MAX_TEXT_LENGTH) return null;
+    if (!Number.isFinite(data.x) || !Number.isFinite(data.y) || !(data.fontSize > 0)) return null;
+    
+    return {
+        x: data.x,
+        y: data.y,
+        text: data.text,
+        fontSize: data.fontSize,
+        color: data.color,
+        layerId: layerIdOf(data)
+    };
+}
+
+function fillFields(data) {
+    if (!Number.isFinite(data.x) || !Number.isFinite(data.y)) return null;
+    if (typeof data.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(data.color)) return null;
+    if (!Number.isFinite(data.tolerance) || data.tolerance < 0 || data.tolerance > 100) return null;
+    
+    return {
+        x: data.x,
+        y: data.y,
+        color: data.color,
+        tolerance: data.tolerance,
+        layerId: layerIdOf(data)
+    };
+}
+
+// Whether the image was uploaded to the room is up to the caller to check
+function imageFields(data) {
+    if (!isValidImageId(data.imageId) || !Number.isFinite(data.x) || !Number.isFinite(data.y)) return null;
+    if (![data.width, data.height].every(size => Number.isFinite(size) && size > 0 && size <= MAX_IMAGE_SIZE)) return null;
+    
+    return {
+        imageId: data.imageId,
+        x: data.x,
+        y: data.y,
+        width: data.width,
+        height: data.height,
+        layerId: layerIdOf(data)
+    };
+}
+
+// Layer structure: add a layer, update its name / visibility / lock /
+// opacity, or move it to `index` in the stack (0 = bottom)
+function layerFields(data) {
+    if (!LAYER_ACTIONS.includes(data.action) || !layerIdOf(data)) return null;
+    
+    const changes = {};
+    if (data.action === 'add' || data.name !== undefined) {
+        if (typeof data.name !== 'string' || data.name.trim() === '' || data.name.length > MAX_LAYER_NAME) return null;
+        changes.name = data.name;
+    }
+    if (data.action === 'move') {
+        if (!Number.isInteger(data.index)) return null;
+        changes.index = data.index;
+    }
+    if (data.action === 'update') {
+        for (const key of ['visible', 'locked']) {
+            if (data[key] === undefined) continue;
+            if (typeof data[key] !== 'boolean') return null;
+            changes[key] = data[key];
+        }
+        if (data.opacity !== undefined) {
+            if (!Number.isFinite(data.opacity) || data.opacity < 0 || data.opacity > 1) return null;
+            changes.opacity = data.opacity;
+        }
+        if (Object.keys(changes).length === 0) return null;
+    }
+    
+    return { action: data.action, layerId: data.layerId, ...changes };
+}
 
 class CollaborativeCanvasServer {
-    constructor() {
+    // options.store: persistence store (see file-store.js); null keeps everything in memory
+    constructor(options = {}) {
         this.app = express();
         this.server = http.createServer(this.app);
-        this.wss = new WebSocket.Server({ server: this.server });
+        this.wss = null; // created once the protocol has loaded, as it sets the message size limit
+        
+        this.clients = new Set(); // connections (ws, userId, roomId, name, color, cursor, viewport) that said hello; a user may have several (tabs)
+        this.rooms = new Map(); // roomId -> Room
+        this.passwordAttempts = new Map(); // IP address -> TokenBucket (see PASSWORD_ATTEMPTS)
+        this.storedTags = new Map(); // roomId -> { stamp, tag } of rooms nobody is in (see sendRender), oldest first
+        this.violations = { disconnects: 0 }; // error code -> rejected messages, for operators
         
-        this.clients = new Map(); // userId -> WebSocket
-        this.rooms = new Map(); // roomId -> { users: Set, operations: Array }
-        this.operations = []; // Global operation log
+        this.store = options.store !== undefined
+            ? options.store
+            : new FileStore(process.env.DATA_DIR || path.join(__dirname, '../data'));
+        this.renderer = new RoomRenderer({ loadImage: (roomId, imageId) => this.loadImage(roomId, imageId) });
+        this.identities = new IdentityStore(this.store ? this.store.loadIdentities() : []);
+        this.persistIdentities();
+        
+        // The message schema (client/protocol.js) is an ES module shared with
+        // the client; start() waits for it before listening
+        this.protocol = null;
+        this.ready = import(pathToFileURL(path.join(__dirname, '../client/protocol.js')).href)
+            .then(protocol => {
+                this.protocol = protocol;
+                this.wss = new WebSocket.Server({ server: this.server, path: '/ws', maxPayload: protocol.MAX_MESSAGE_BYTES });
+                this.setupWebSocket();
+            });
         
         this.setupMiddleware();
-        this.setupWebSocket();
         this.setupRoutes();
     }
     
     setupMiddleware() {
         this.app.use(express.static(path.join(__dirname, '../client')));
-        this.app.use(express.json());
     }
     
     setupRoutes() {
         this.app.get('/health', (req, res) => {
-            res.json({ status: 'ok', users: this.clients.size });
+            const users = new Set([...this.clients].map(client => client.userId)).size;
+            res.json({ status: 'ok', users, connections: this.clients.size, rooms: this.rooms.size, violations: this.violations });
+        });
+        
+        // Room links (/r/<roomId>) serve the same client; it reads the room from the URL
+        this.app.get('/r/:roomId', (req, res) => {
+            if (!Room.isValidId(req.params.roomId)) {
+                return res.status(400).send('Invalid room id');
+            }
+            res.sendFile(path.join(__dirname, '../client/index.html'));
+        });
+        
+        // Image uploads: the raw PNG/JPEG body is stored under its content
+        // hash, then placed on the board with an `image` operation
+        const authorize = (req, res, next) => this.authorizeUpload(req, res, next);
+        this.app.post('/r/:roomId/images', authorize, express.raw({ type: Object.values(IMAGE_TYPES), limit: MAX_IMAGE_BYTES }), (req, res) => {
+            const { room } = req;
+            const extension = Buffer.isBuffer(req.body) ? sniffImageType(req.body) : null;
+            if (!extension) {
+                return res.status(415).json({ error: 'Only PNG and JPEG images can be uploaded' });
+            }
+            
+            const imageId = `${crypto.createHash('sha256').update(req.body).digest('hex').slice(0, 32)}.${extension}`;
+            try {
+                this.saveImage(room, imageId, req.body);
+            } catch (error) {
+                console.error(`Failed to store image in room ${room.id}:`, error);
+                return res.status(500).json({ error: 'Could not store the image' });
+            }
+            res.status(201).json({ imageId, src: `/r/${room.id}/images/${imageId}` });
+        });
+        
+        // Board imports: a .flamcanvas file's layers and objects as JSON (see
+        // handleImport); the room receives them as a history delta
+        this.app.post('/r/:roomId/import', authorize, express.json({ limit: MAX_IMPORT_BYTES }), (req, res) => {
+            const { room, client } = req;
+            try {
+                this.handleImport(client.userId, room, req.body);
+            } catch (error) {
+                if (!(error instanceof this.protocol.ProtocolError)) throw error;
+                return res.status(error.code === this.protocol.ERROR_CODES.FORBIDDEN ? 403 : 400).json({ error: error.message });
+            }
+            res.status(201).json({ version: room.state.version });
         });
         
-        this.app.post('/undo', (req, res) => {
-            const { userId } = req.body;
-            this.handleUndo(userId);
-            res.json({ status: 'processing' });
+        this.app.get('/r/:roomId/images/:imageId', (req, res) => {
+            const { roomId, imageId } = req.params;
+            const data = Room.isValidId(roomId) && isValidImageId(imageId) ? this.loadImage(roomId, imageId) : null;
+            if (!data) {
+                return res.status(404).send('Image not found');
+            }
+            
+            // The URL names the content, so it never changes
+            res.set('Cache-Control', 'public, max-age=31536000, immutable');
+            res.type(IMAGE_TYPES[path.extname(imageId).slice(1)]).send(data);
         });
+        
+        // Renders of a room's current drawing, e.g. for thumbnails: drawn on
+        // the server from the room's history, revalidated by its version
+        this.app.get('/rooms/:roomId/export.svg', (req, res, next) => this.sendRender(req, res, next, 'svg'));
+        this.app.get('/rooms/:roomId/export.png', (req, res, next) => this.sendRender(req, res, next, 'png'));
+        
+        // Errors with an HTTP status: body parser errors (such as an upload
+        // over the size limit) and a busy renderer
+        this.app.use((error, req, res, next) => {
+            if (!error.status) return next(error);
+            res.status(error.status).json({ error: error.message });
+        });
+    }
+    
+    // Uploads (images, boards) come from a connection in the room that may edit it, which
+    // sends the `uploadToken` its hello reply gave it. Checked (and counted
+    // against the connection's upload budget) before the body is read.
+    authorizeUpload(req, res, next) {
+        const token = req.get('X-Upload-Token');
+        const client = token && [...this.clients].find(client => client.uploadToken === token);
+        const room = client && client.roomId === req.params.roomId && this.rooms.get(client.roomId);
+        if (!room) {
+            return res.status(403).json({ error: 'Join the room to upload to it' });
+        }
+        if (!room.access.canEdit(client.userId)) {
+            return res.status(403).json({ error: room.access.locked ? 'The board is locked' : 'Viewers can\'t change the board' });
+        }
+        if (!client.limits.upload.take()) {
+            return res.status(429).json({ error: 'Too many uploads' });
+        }
+        
+        req.room = room;
+        req.client = client;
+        next();
     }
     
     setupWebSocket() {
         this.wss.on('connection', (ws, req) => {
-            const userId = this.generateUserId();
-            const userColor = this.generateRandomColor();
-            
-            console.log(`New connection: ${userId}`);
+            console.log(`New connection from ${req.socket.remoteAddress}`);
             
-            // Store client
-            this.clients.set(userId, {
+            // The client says `hello` first, which tells us who it is (see
+            // handleHello), and enters a room once it sends 'join'
+            const client = {
                 ws,
-                userId,
-                color: userColor,
+                address: req.socket.remoteAddress,
+                userId: null,
+                identity: null,
+                protocolVersion: null,
+                roomId: null,
+                name: null,
+                color: null,
                 cursor: { x: 0, y: 0 },
-                lastPing: Date.now()
-            });
-            
-            // Send welcome message
-            ws.send(JSON.stringify({
-                type: 'welcome',
-                userId,
-                color: userColor,
-                users: Array.from(this.clients.values()).map(c => ({
-                    id: c.userId,
-                    color: c.color,
-                    cursor: c.cursor
-                }))
-            }));
-            
-            // Broadcast new user to others
-            this.broadcast({
-                type: 'user-joined',
-                userId,
-                color: userColor
-            }, userId);
+                viewport: null,
+                canUndo: false, // undo/redo availability last sent (see sendUndoState)
+                canRedo: false,
+                strokeIds: new Set(), // strokes this connection began and hasn't ended
+                erase: null, // the erase whose pieces this connection is sending (see addErasePoints)
+                lastPing: Date.now(),
+                limits: Object.fromEntries(Object.entries(RATE_LIMITS)
+                    .map(([name, { rate, burst }]) => [name, new TokenBucket(rate, burst)])),
+                strikes: new TokenBucket(1 / STRIKE_REFILL, STRIKES),
+                closing: false
+            };
             
-            // Send existing operations
-            if (this.operations.length > 0) {
-                ws.send(JSON.stringify({
-                    type: 'history',
-                    operations: this.operations.slice(-100) // Last 100 operations
-                }));
-            }
+            const helloTimer = setTimeout(() => {
+                client.closing = true;
+                ws.close(this.protocol.CLOSE_CODES.POLICY_VIOLATION, 'No hello');
+            }, HELLO_TIMEOUT);
+            client.helloTimer = helloTimer;
             
             // Handle messages
             ws.on('message', (data) => {
+                let message;
+                try {
+                    message = JSON.parse(data);
+                } catch (error) {
+                    this.rejectMessage(client, this.protocol.ERROR_CODES.INVALID_JSON, 'Messages must be JSON');
+                    return;
+                }
+                
                 try {
-                    const message = JSON.parse(data);
-                    this.handleMessage(userId, message);
+                    this.handleMessage(client, message);
                 } catch (error) {
-                    console.error('Error parsing message:', error);
+                    console.error(`Error handling ${message && message.type} message from ${client.userId}:`, error);
+                }
+            });
+            
+            // Frames over maxPayload end the connection (close code 1009)
+            ws.on('error', (error) => {
+                if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+                    this.violations['message-too-big'] = (this.violations['message-too-big'] || 0) + 1;
                 }
+                console.warn(`Connection error for ${client.userId || 'a new connection'}:`, error.message);
             });
             
-            // Handle disconnection
+            // Handle disconnection; the cleanup below may have removed it already
             ws.on('close', () => {
-                console.log(`Connection closed: ${userId}`);
-                this.clients.delete(userId);
-                this.broadcast({
-                    type: 'user-left',
-                    userId
-                });
+                clearTimeout(helloTimer);
+                if (this.clients.has(client)) {
+                    console.log(`Connection closed: ${client.userId}`);
+                    this.removeClient(client);
+                }
             });
             
             // Handle ping/pong for keep-alive
             ws.on('pong', () => {
-                const client = this.clients.get(userId);
-                if (client) {
-                    client.lastPing = Date.now();
-                }
+                client.lastPing = Date.now();
             });
         });
         
         // Cleanup disconnected clients every 30 seconds
-        setInterval(() => {
+        this.cleanupInterval = setInterval(() => {
             const now = Date.now();
-            for (const [userId, client] of this.clients.entries()) {
+            for (const client of this.clients) {
                 if (now - client.lastPing > 60000) { // 60 seconds timeout
-                    console.log(`Cleaning up inactive user: ${userId}`);
+                    console.log(`Cleaning up inactive connection of ${client.userId}`);
                     client.ws.terminate();
-                    this.clients.delete(userId);
-                    this.broadcast({
-                        type: 'user-left',
-                        userId
-                    });
+                    this.removeClient(client);
                 }
             }
+            
+            // A full bucket is the same as none
+            const { rate, burst } = PASSWORD_ATTEMPTS;
+            for (const [address, attempts] of this.passwordAttempts) {
+                if (now - attempts.updatedAt > burst / rate * 1000) this.passwordAttempts.delete(address);
+            }
         }, 30000);
     }
     
+    // User ids outlive connections (see identities.js), so they have to be unique
     generateUserId() {
-        return 'user_' + Math.random().toString(36).substr(2, 9);
+        return 'user_' + crypto.randomBytes(8).toString('hex');
     }
     
     generateRandomColor() {
-        const colors = [
-            '#FF6B6B', '#4ECDC4', '#FFD166', '#06D6A0',
-            '#118AB2', '#073B4C', '#7209B7', '#F72585',
-            '#3A0CA3', '#4361EE', '#4CC9F0'
-        ];
-        return colors[Math.floor(Math.random() * colors.length)];
+        return USER_COLORS[Math.floor(Math.random() * USER_COLORS.length)];
+    }
+    
+    persistIdentities() {
+        if (!this.store) return;
+        
+        this.identities.on('change', () => {
+            try {
+                this.store.saveIdentities(this.identities.toJSON());
+            } catch (error) {
+                console.error('Failed to persist user identities:', error);
+            }
+        });
+    }
+    
+    // Persisted rooms are loaded when someone joins them, and unloaded again
+    // when the last user leaves (see closeRoomIfEmpty)
+    restoreRoom(roomId) {
+        const room = this.readRoom(roomId);
+        if (room) {
+            this.persistRoom(room);
+            this.watchUndoState(room);
+            console.log(`Room restored: ${roomId} (version ${room.state.version})`);
+        }
+        return room;
+    }
+    
+    // A persisted room as it was saved, not loaded into the server. Rooms
+    // saved without a snapshot (from before one was written on creation) get
+    // a stateId made from their id, so their history is the same every time
+    // it is read.
+    readRoom(roomId) {
+        const saved = this.store.loadRoom(roomId);
+        if (!saved) return null;
+        
+        const snapshot = saved.snapshot || {
+            stateId: crypto.createHash('sha256').update(`room ${roomId}`).digest('hex').slice(0, 16),
+            version: 0
+        };
+        return new Room(roomId, DrawingState.restore(snapshot, saved.operations),
+            new RoomAccess(saved.access || {}));
+    }
+    
+    getOrCreateRoom(roomId) {
+        let room = this.rooms.get(roomId);
+        if (room) return room;
+        
+        room = this.store && this.restoreRoom(roomId);
+        if (!room) {
+            room = new Room(roomId);
+            this.persistRoom(room);
+            this.watchUndoState(room);
+            
+            // Record the new history's stateId before any operation is logged
+            if (this.store) {
+                this.store.saveSnapshot(roomId, room.state.exportSnapshot(), []);
+            }
+            console.log(`Room created: ${roomId}`);
+        }
+        
+        this.rooms.set(roomId, room);
+        return room;
+    }
+    
+    // Mirror the room's operations and snapshots into the store
+    persistRoom(room) {
+        if (!this.store) return;
+        
+        room.state.on('operation', (operation) => {
+            try {
+                this.store.appendOperation(room.id, operation);
+            } catch (error) {
+                console.error(`Failed to persist operation in room ${room.id}:`, error);
+            }
+        });
+        
+        room.access.on('change', () => {
+            try {
+                this.store.saveAccess(room.id, room.access.toJSON());
+            } catch (error) {
+                console.error(`Failed to persist access settings of room ${room.id}:`, error);
+            }
+        });
+        
+        room.state.on('snapshot', (snapshot) => {
+            try {
+                this.store.saveSnapshot(room.id, room.state.exportSnapshot(),
+                    room.state.getOperationsAfter(snapshot.version));
+            } catch (error) {
+                console.error(`Failed to persist snapshot of room ${room.id}:`, error);
+            }
+        });
+    }
+    
+    // Undo/redo availability changes with a user's own operations, and for
+    // everyone with a clear, an undo or redo (of a clear) and compaction.
+    // Affected users are told once the current message has been handled.
+    watchUndoState(room) {
+        const pending = new Set();
+        const schedule = (userIds) => {
+            if (pending.size === 0) {
+                setImmediate(() => {
+                    for (const userId of pending) this.sendUndoState(room, userId);
+                    pending.clear();
+                });
+            }
+            userIds.forEach(userId => pending.add(userId));
+        };
+        
+        room.state.on('operation', (operation) => {
+            const everyone = ['clear', 'undo', 'redo'].includes(operation.type);
+            schedule(everyone ? room.userIds() : [operation.userId]);
+        });
+        room.state.on('snapshot', () => schedule(room.userIds()));
+    }
+    
+    // Sent to each of the user's connections whose buttons it changes
+    sendUndoState(room, userId) {
+        const clients = room.clientsOf(userId);
+        if (clients.length === 0) return;
+        
+        const { canUndo, canRedo } = room.state.getUndoState(userId);
+        for (const client of clients) {
+            if (client.canUndo === canUndo && client.canRedo === canRedo) continue;
+            
+            client.canUndo = canUndo;
+            client.canRedo = canRedo;
+            if (client.ws.readyState === WebSocket.OPEN) {
+                client.ws.send(JSON.stringify({ type: 'undo-state', canUndo, canRedo }));
+            }
+        }
+    }
+    
+    // Query: `width` (PNG only, pixels) and `background` (#rrggbb hex
+    // without the #, or `none`; white by default). A room with a password
+    // or only open to invites is only shown with one of its invites as
+    // `invite`. A PNG that shows text or images only roughly says so in
+    // X-Render-Approximations.
+    // A room nobody is in is read from the store just for the render: it
+    // isn't loaded, claimed or created. Its tag is remembered by the store's
+    // stamp, so revalidating it doesn't read its history.
+    async sendRender(req, res, next, format) {
+        const { roomId } = req.params;
+        let room = this.rooms.get(roomId) || null;
+        let access;
+        let tag;
+        if (room) {
+            access = room.access;
+            tag = RoomRenderer.getTag(room);
+        } else {
+            const stamp = this.store && Room.isValidId(roomId) ? this.store.statRoom(roomId) : null;
+            if (!stamp) {
+                return res.status(404).json({ error: 'Unknown room' });
+            }
+            
+            access = new RoomAccess(this.store.loadAccess(roomId) || {});
+            const stored = this.storedTags.get(roomId);
+            if (stored && stored.stamp === stamp) {
+                tag = stored.tag;
+            } else {
+                room = this.readRoom(roomId);
+                tag = RoomRenderer.getTag(room);
+                this.rememberStoredTag(roomId, stamp, tag);
+            }
+        }
+        
+        const { invite } = req.query;
+        if ((access.password || access.inviteOnly) && !(typeof invite === 'string' && access.verifyInvite(invite))) {
+            return res.status(403).json({ error: 'This room needs an invite' });
+        }
+        
+        let width = null;
+        if (format === 'png' && req.query.width !== undefined) {
+            width = Number(req.query.width);
+            if (!Number.isInteger(width) || width < 1 || width > RoomRenderer.MAX_RENDER_SIZE) {
+                return res.status(400).json({ error: `width must be a whole number from 1 to ${RoomRenderer.MAX_RENDER_SIZE}` });
+            }
+        }
+        
+        const { background = 'ffffff' } = req.query;
+        if (background !== 'none' && !/^[0-9a-f]{6}$/i.test(background)) {
+            return res.status(400).json({ error: 'background must be a hex color such as ffffff, or none' });
+        }
+        const options = { width, background: background === 'none' ? null : `#${background.toLowerCase()}` };
+        
+        // Any operation changes the version, and a new history the stateId
+        res.set('ETag', `"${tag}"`);
+        res.set('Cache-Control', 'no-cache');
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        
+        try {
+            let render = this.renderer.getCached(roomId, tag, format, options);
+            if (!render) {
+                // The store may have moved on since its tag was remembered
+                room = room || this.rooms.get(roomId) || this.readRoom(roomId);
+                if (!room) {
+                    return res.status(404).json({ error: 'Unknown room' });
+                }
+                res.set('ETag', `"${RoomRenderer.getTag(room)}"`);
+                render = await this.renderer.render(room, format, options);
+            }
+            if (render.approximations.length > 0) {
+                res.set('X-Render-Approximations', render.approximations.join(', '));
+            }
+            res.type(format).send(render.body);
+        } catch (error) {
+            if (!error.status) console.error(`Failed to render room ${roomId}:`, error);
+            next(error);
+        }
+    }
+    
+    // Tags of rooms rendered while nobody was in them, the latest ones only
+    rememberStoredTag(roomId, stamp, tag) {
+        this.storedTags.delete(roomId);
+        this.storedTags.set(roomId, { stamp, tag });
+        if (this.storedTags.size > MAX_STORED_TAGS) {
+            this.storedTags.delete(this.storedTags.keys().next().value);
+        }
+    }
+    
+    // Images live in the store next to the room's history; without a store
+    // they are kept with the room in memory
+    saveImage(room, imageId, data) {
+        if (this.store) {
+            this.store.saveImage(room.id, imageId, data);
+        } else {
+            room.images.set(imageId, data);
+        }
+    }
+    
+    loadImage(roomId, imageId) {
+        if (this.store) return this.store.loadImage(roomId, imageId);
+        
+        const room = this.rooms.get(roomId);
+        return (room && room.images.get(imageId)) || null;
+    }
+    
+    // `credentials`: the `invite` and/or `password` the user joins with
+    joinRoom(client, roomId, since = null, credentials = {}) {
+        const { userId } = client;
+        
+        if (!Room.isValidId(roomId)) {
+            roomId = Room.DEFAULT_ID;
+        }
+        
+        if (credentials.password !== undefined && !this.takePasswordAttempt(client)) {
+            throw new this.protocol.ProtocolError(this.protocol.ERROR_CODES.RATE_LIMITED,
+                'Too many password attempts: try again in a minute');
+        }
+        
+        // Whoever opens a room owns it; the lobby is everyone's
+        const room = this.getOrCreateRoom(roomId);
+        const role = room.access.admit(userId, { ...credentials, mayOwn: roomId !== Room.DEFAULT_ID });
+        if (role.denied) {
+            this.closeRoomIfEmpty(room);
+            const { ERROR_CODES, ProtocolError } = this.protocol;
+            if (role.denied === 'password') {
+                throw new ProtocolError(ERROR_CODES.PASSWORD_REQUIRED,
+                    credentials.password === undefined ? 'This room needs a password' : 'Wrong password');
+            }
+            if (role.denied === 'closed') {
+                throw new ProtocolError(ERROR_CODES.FORBIDDEN, 'This room only lets new people in with an invite link');
+            }
+            throw role.denied === 'invite'
+                ? new ProtocolError(ERROR_CODES.INVALID_INVITE, 'This invite link is invalid or has expired')
+                : new ProtocolError(ERROR_CODES.FORBIDDEN, 'You were removed from this room');
+        }
+        
+        // Switching rooms: leave the current one first
+        if (client.roomId) {
+            this.leaveRoom(client);
+        }
+        
+        const present = room.hasUser(userId); // from another tab
+        room.addClient(client);
+        this.rooms.set(roomId, room); // in case leaving closed it
+        client.roomId = roomId;
+        client.cursor = { x: 0, y: 0 };
+        client.viewport = null;
+        
+        // A reconnecting client that still holds this history only needs the delta
+        const resumed = Boolean(since) && room.state.canResume(since.stateId, since.version);
+        const fromVersion = resumed ? since.version : 0;
+        const undoState = room.state.getUndoState(userId);
+        client.canUndo = undoState.canUndo;
+        client.canRedo = undoState.canRedo;
+        
+        // Send welcome message
+        client.ws.send(JSON.stringify({
+            type: 'welcome',
+            userId,
+            roomId,
+            name: client.name,
+            color: client.color,
+            role,
+            access: room.access.summary(),
+            users: this.getRoomUsers(room),
+            stateId: room.state.stateId,
+            version: room.state.version,
+            resumed,
+            canUndo: client.canUndo,
+            canRedo: client.canRedo
+        }));
+        
+        // Broadcast new user to the rest of the room
+        if (!present) {
+            this.broadcast(roomId, {
+                type: 'user-joined',
+                userId,
+                name: client.name,
+                color: client.color,
+                role
+            }, userId);
+        }
+        
+        // Bring the client up to date: a delta when resuming, otherwise the
+        // compacted snapshot followed by the operations after it
+        if (resumed) {
+            this.sendHistory(client.ws, room, 'delta', room.state.getOperationsAfter(fromVersion), fromVersion);
+        } else {
+            const snapshot = room.state.getSnapshot();
+            this.sendHistory(client.ws, room, 'snapshot', snapshot.operations.concat(snapshot.tail), 0, snapshot.undone);
+        }
+    }
+    
+    takePasswordAttempt(client) {
+        let attempts = this.passwordAttempts.get(client.address);
+        if (!attempts) {
+            attempts = new TokenBucket(PASSWORD_ATTEMPTS.rate, PASSWORD_ATTEMPTS.burst);
+            this.passwordAttempts.set(client.address, attempts);
+        }
+        return attempts.take();
+    }
+    
+    // Stream operations in bounded chunks so a large canvas never becomes one huge frame
+    // `undone` lists snapshot operations that arrive hidden (they can still be redone)
+    sendHistory(ws, room, mode, operations, since, undone = []) {
+        const version = room.state.version;
+        
+        ws.send(JSON.stringify({
+            type: 'history-begin',
+            mode,
+            since,
+            version,
+            total: operations.length,
+            undone
+        }));
+        
+        let chunk = [];
+        let chunkBytes = 0;
+        for (const operation of operations) {
+            const size = JSON.stringify(operation).length;
+            if (chunk.length > 0 && chunkBytes + size > CollaborativeCanvasServer.HISTORY_CHUNK_BYTES) {
+                ws.send(JSON.stringify({ type: 'history-chunk', operations: chunk }));
+                chunk = [];
+                chunkBytes = 0;
+            }
+            chunk.push(operation);
+            chunkBytes += size;
+        }
+        if (chunk.length > 0) {
+            ws.send(JSON.stringify({ type: 'history-chunk', operations: chunk }));
+        }
+        
+        ws.send(JSON.stringify({
+            type: 'history-end',
+            version
+        }));
     }
     
-    handleMessage(userId, message) {
-        const client = this.clients.get(userId);
-        if (!client) return;
+    leaveRoom(client) {
+        if (!client.roomId) return;
+        
+        const room = this.rooms.get(client.roomId);
+        client.roomId = null;
+        if (!room) return;
+        
+        // Whatever this connection was still drawing is committed as-is
+        for (const strokeId of client.strokeIds) {
+            const stroke = room.activeStrokes.get(`${client.userId}:${strokeId}`);
+            if (stroke) {
+                this.endStroke(room, stroke);
+            }
+        }
+        client.strokeIds.clear();
+        client.erase = null;
+        
+        // The user is gone once their last tab in the room is
+        room.removeClient(client);
+        if (!room.hasUser(client.userId)) {
+            this.broadcast(room.id, {
+                type: 'user-left',
+                userId: client.userId
+            });
+        }
+        
+        this.closeRoomIfEmpty(room);
+    }
+    
+    // Drop a room once its last user is gone; a persisted room is reloaded
+    // from the store when someone joins again
+    closeRoomIfEmpty(room) {
+        if (!room.isEmpty()) return;
+        
+        this.rooms.delete(room.id);
+        if (this.store) {
+            this.store.closeRoom(room.id);
+        }
+        console.log(`Room closed: ${room.id}`);
+    }
+    
+    removeClient(client) {
+        this.leaveRoom(client);
+        this.clients.delete(client);
+    }
+    
+    // One entry per user, with the cursor and viewport of their first tab
+    getRoomUsers(room) {
+        return room.userIds()
+            .map(id => room.clientsOf(id)[0])
+            .map(c => ({
+                id: c.userId,
+                name: c.name,
+                color: c.color,
+                role: room.access.roleOf(c.userId),
+                cursor: c.cursor,
+                viewport: c.viewport
+            }));
+    }
+    
+    // Structured reply to a message the server won't act on
+    sendError(ws, code, message, requestType) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({ type: 'error', code, message, requestType }));
+    }
+    
+    // Refuse a message: tell the client, count and log it for operators, and
+    // disconnect clients that keep sending such messages
+    rejectMessage(client, code, message, requestType) {
+        this.violations[code] = (this.violations[code] || 0) + 1;
+        console.warn(`Rejected ${requestType || 'unreadable'} message from ${client.userId || 'a new connection'}: ${message}`);
+        this.sendError(client.ws, code, message, requestType);
+        
+        if (!client.strikes.take()) {
+            this.violations.disconnects++;
+            console.warn(`Disconnecting ${client.userId || 'a new connection'}: too many rejected messages`);
+            client.closing = true;
+            client.ws.close(this.protocol.CLOSE_CODES.POLICY_VIOLATION, 'Too many rejected messages');
+        }
+    }
+    
+    // Thrown by handlers for messages that fit the schema but can't be applied
+    invalid(message) {
+        return new this.protocol.ProtocolError(this.protocol.ERROR_CODES.INVALID_MESSAGE, message);
+    }
+    
+    // Thrown for messages the user's role in the room doesn't allow
+    forbidden(message) {
+        return new this.protocol.ProtocolError(this.protocol.ERROR_CODES.FORBIDDEN, message);
+    }
+    
+    // New objects go on a layer that exists and is shown and unlocked, the
+    // only kind clients let their users draw on
+    checkLayer(room, layerId = BASE_LAYER_ID) {
+        const layer = room.state.getLayers().get(layerId);
+        if (!layer) throw this.invalid(`Unknown layer: ${layerId}`);
+        if (layer.locked) throw this.forbidden('That layer is locked');
+        if (!layer.visible) throw this.forbidden('That layer is hidden');
+    }
+    
+    // Objects on locked layers can't be moved, deleted, erased or edited;
+    // targets that aren't on the board change nothing, so they pass
+    checkTargets(room, targets) {
+        const objectLayers = room.state.getObjectLayers();
+        const layers = room.state.getLayers();
+        for (const key of targets) {
+            if (!objectLayers.has(key)) continue;
+            
+            const layer = layers.get(objectLayers.get(key));
+            if (!layer || layer.locked) throw this.forbidden('Objects on locked layers can\'t be changed');
+        }
+    }
+    
+    handleMessage(client, raw) {
+        if (client.closing) return;
+        
+        // Any message shows the connection is alive
+        client.lastPing = Date.now();
+        
+        // The budget is checked before the (costlier) schema check
+        const requestType = raw && typeof raw.type === 'string' ? raw.type.slice(0, 64) : undefined;
+        const limit = RATE_LIMIT_OF[requestType] || 'draw';
+        if (!client.limits[limit].take()) {
+            this.rejectMessage(client, this.protocol.ERROR_CODES.RATE_LIMITED, `Too many ${limit} messages`, requestType);
+            return;
+        }
+        
+        try {
+            this.dispatchMessage(client, this.protocol.parseClientMessage(raw));
+        } catch (error) {
+            if (!(error instanceof this.protocol.ProtocolError)) throw error;
+            this.rejectMessage(client, error.code, error.message, requestType);
+        }
+    }
+    
+    dispatchMessage(client, message) {
+        const { userId } = client;
+        
+        if (message.type === 'hello') {
+            this.handleHello(client, message);
+            return;
+        }
+        if (client.protocolVersion === null) {
+            throw new this.protocol.ProtocolError(this.protocol.ERROR_CODES.HELLO_REQUIRED, 'Send hello first');
+        }
+        
+        if (message.type === 'ping') {
+            client.ws.send(JSON.stringify({ type: 'pong', timestamp: message.timestamp }));
+            return;
+        }
+        
+        if (message.type === 'join') {
+            this.joinRoom(client, message.roomId, message.since, { invite: message.invite, password: message.password });
+            return;
+        }
+        
+        if (message.type === 'profile') {
+            this.handleProfile(client, message);
+            return;
+        }
+        
+        // Everything else is scoped to the client's room, and to the user's role in it
+        const room = this.rooms.get(client.roomId);
+        if (!room) return;
+        
+        if (OWNER_TYPES.includes(message.type)) {
+            if (room.access.roleOf(userId) !== 'owner') throw this.forbidden('Only the room owner can do that');
+        } else if (!VIEWER_TYPES.includes(message.type) && !room.access.canEdit(userId)) {
+            throw this.forbidden(room.access.locked ? 'The board is locked' : 'Viewers can\'t change the board');
+        }
         
         switch (message.type) {
-            case 'draw':
-                // Add timestamp and userId
-                const operation = {
-                    ...message.data,
-                    userId,
-                    timestamp: Date.now(),
-                    operationId: this.generateOperationId()
-                };
+            case 'stroke-begin':
+                this.handleStrokeBegin(client, room, message.data);
+                client.strokeIds.add(message.data.strokeId);
+                break;
                 
-                // Store operation
-                this.operations.push(operation);
+            case 'stroke-points':
+                this.handleStrokePoints(client, room, message.data);
+                break;
                 
-                // Broadcast to all other clients
-                this.broadcast({
-                    type: 'draw',
-                    data: operation
-                }, userId);
+            case 'stroke-end':
+                const stroke = room.activeStrokes.get(`${userId}:${message.data.strokeId}`);
+                client.strokeIds.delete(message.data.strokeId);
+                if (stroke) {
+                    this.endStroke(room, stroke);
+                }
                 break;
                 
             case 'cursor':
@@ -166,57 +1010,640 @@ class CollaborativeCanvasServer {
                 client.cursor = message.data;
                 
                 // Broadcast cursor movement to others
-                this.broadcast({
+                this.broadcast(room.id, {
                     type: 'cursor',
                     userId,
                     data: message.data
                 }, userId);
                 break;
                 
-            case 'clear':
-                // Add clear operation to history
-                const clearOp = {
-                    type: 'clear',
-                    userId,
-                    timestamp: Date.now(),
-                    operationId: this.generateOperationId()
-                };
+            case 'viewport':
+                // The board area this user is looking at, for others to follow
+                client.viewport = message.data;
                 
-                this.operations.push(clearOp);
-                this.broadcast({
-                    type: 'clear',
-                    data: clearOp
+                this.broadcast(room.id, {
+                    type: 'viewport',
+                    userId,
+                    data: message.data
                 }, userId);
                 break;
                 
-            case 'undo':
-                this.handleUndo(userId);
+            case 'clear':
+                this.handleClear(userId, room, message.scope || 'all');
+                break;
+                
+            case 'shape':
+                this.handleShape(userId, room, message.data);
+                break;
+                
+            case 'text':
+                this.handleText(userId, room, message.data);
+                break;
+                
+            case 'fill':
+                this.handleFill(userId, room, message.data);
+                break;
+                
+            case 'image':
+                this.handleImage(userId, room, message.data);
+                break;
+                
+            case 'layer':
+                this.handleLayer(userId, room, message.data);
+                break;
+                
+            case 'transform':
+                this.handleTransform(userId, room, message.data);
                 break;
-        }
-    }
-    
-    handleUndo(userId) {
-        // Find last operation by this user
-        for (let i = this.operations.length - 1; i >= 0; i--) {
-            if (this.operations[i].userId === userId) {
-                const undoneOp = this.operations[i];
                 
-                // Create undo operation
-                const undoOp = {
-                    type: 'undo',
-                    targetOperationId: undoneOp.operationId,
+            case 'delete':
+                // Hide selected objects (undo brings them back)
+                if (!isValidTargets(message.data.targets)) throw this.invalid('Nothing to delete');
+                this.checkTargets(room, message.data.targets);
+                
+                const deleteOp = room.state.addOperation({
+                    type: 'delete',
+                    eraseId: message.data.eraseId,
                     userId,
+                    targets: message.data.targets,
                     timestamp: Date.now(),
                     operationId: this.generateOperationId()
-                };
+                });
+                
+                this.broadcast(room.id, {
+                    type: 'delete',
+                    data: deleteOp
+                });
+                break;
+                
+            case 'erase-points':
+                this.addErasePoints(client, message.data);
+                break;
                 
-                this.operations.push(undoOp);
-                this.broadcast({
-                    type: 'undo',
-                    data: undoOp
+            case 'erase': {
+                // Targets no points were sent for are erased entirely
+                const erase = client.erase && client.erase.eraseId === message.data.eraseId ? client.erase : null;
+                client.erase = null;
+                this.handleErase(userId, room, {
+                    eraseId: message.data.eraseId,
+                    targets: message.data.targets,
+                    pieces: message.data.targets.map(target => (erase && erase.pieces.get(target)) || [])
                 });
                 break;
             }
+                
+            case 'undo':
+                this.handleUndo(userId, room);
+                break;
+                
+            case 'redo':
+                this.handleRedo(userId, room);
+                break;
+                
+            case 'invite': {
+                const ttl = message.expiresIn !== undefined ? message.expiresIn * 1000 : null;
+                const invite = room.access.createInvite(message.role, ttl);
+                client.ws.send(JSON.stringify({
+                    type: 'invite',
+                    role: message.role,
+                    invite,
+                    expiresAt: ttl === null ? null : Date.now() + ttl
+                }));
+                break;
+            }
+                
+            case 'access':
+                this.handleAccess(room, message);
+                break;
+                
+            case 'kick':
+                this.handleKick(room, message.userId, message.inviteOnly);
+                break;
+        }
+    }
+    
+    // Protocol handshake: only clients speaking our version get further
+    handleHello(client, { version, token, name, color }) {
+        const { PROTOCOL_VERSION, ERROR_CODES, CLOSE_CODES } = this.protocol;
+        if (client.protocolVersion !== null) throw this.invalid('Already said hello');
+        if (version !== PROTOCOL_VERSION) {
+            this.sendError(client.ws, ERROR_CODES.UNSUPPORTED_VERSION,
+                `This server speaks protocol version ${PROTOCOL_VERSION}, not ${version}`, 'hello');
+            client.ws.close(CLOSE_CODES.PROTOCOL_ERROR, 'Unsupported protocol version');
+            return;
+        }
+        
+        client.protocolVersion = version;
+        clearTimeout(client.helloTimer);
+        
+        // A known token makes this the same user as before; a name or color
+        // sent along (kept by the client) wins over what we remember
+        const cleanName = name !== undefined ? displayName(name, this.protocol.MAX_NAME_LENGTH) : null;
+        let identity = token !== undefined ? this.identities.resolve(token) : null;
+        if (identity) {
+            const changes = {};
+            if (cleanName) changes.name = cleanName;
+            if (color) changes.color = color;
+            if (Object.keys(changes).length > 0) this.identities.update(identity, changes);
+        } else {
+            const userId = this.generateUserId();
+            ({ token, identity } = this.identities.create(userId,
+                cleanName || `Guest ${userId.slice(-4)}`, color || this.generateRandomColor()));
+        }
+        
+        client.identity = identity;
+        client.uploadToken = crypto.randomBytes(24).toString('base64url');
+        client.userId = identity.userId;
+        client.name = identity.name;
+        client.color = identity.color;
+        
+        this.clients.add(client);
+        console.log(`User ${client.userId} (${client.name}) connected`);
+        
+        client.ws.send(JSON.stringify({
+            type: 'hello',
+            version: PROTOCOL_VERSION,
+            userId: client.userId,
+            token,
+            uploadToken: client.uploadToken,
+            name: client.name,
+            color: client.color
+        }));
+    }
+    
+    // A new display name and/or color; the client and its room hear about it
+    // as `user-updated`
+    handleProfile(client, { name, color }) {
+        const changes = {};
+        if (name !== undefined) {
+            changes.name = displayName(name, this.protocol.MAX_NAME_LENGTH);
+            if (!changes.name) throw this.invalid('The name is empty');
+        }
+        if (color !== undefined) changes.color = color;
+        if (Object.keys(changes).length === 0) throw this.invalid('Nothing to change');
+        
+        this.identities.update(client.identity, changes);
+        
+        // Every tab of the user takes the change, as do the rooms they are in
+        const tabs = [...this.clients].filter(tab => tab.userId === client.userId);
+        tabs.forEach(tab => Object.assign(tab, changes));
+        
+        const message = { type: 'user-updated', userId: client.userId, name: client.name, color: client.color };
+        for (const roomId of new Set(tabs.map(tab => tab.roomId).filter(Boolean))) {
+            this.broadcast(roomId, message);
+        }
+        for (const tab of tabs.filter(tab => !tab.roomId)) {
+            tab.ws.send(JSON.stringify(message));
+        }
+    }
+    
+    // The owner changed the room's settings. Everyone in the room hears the
+    // result as `access`, with the roles of those present (which follow
+    // `defaultRole` unless they are members).
+    handleAccess(room, { password, locked, ownerOnlyClear, inviteOnly, defaultRole, revokeInvites }) {
+        if (password && password.length < 4) throw this.invalid('Passwords need at least 4 characters');
+        
+        room.access.update({ password, locked, ownerOnlyClear, inviteOnly, defaultRole, revokeInvites }, room.userIds());
+        
+        // Strokes in progress by users who just lost edit rights end here
+        for (const stroke of [...room.activeStrokes.values()]) {
+            if (!room.access.canEdit(stroke.userId)) {
+                this.endStroke(room, stroke);
+            }
+        }
+        
+        this.broadcast(room.id, {
+            type: 'access',
+            ...room.access.summary(),
+            roles: Object.fromEntries(room.userIds().map(id => [id, room.access.roleOf(id)]))
+        });
+    }
+    
+    // Send a user out of the room, from every tab; they need a new invite to
+    // come back (see RoomAccess.kick). With `inviteOnly` the room is closed
+    // to newcomers as well, so they can't return under a new identity.
+    handleKick(room, targetId, inviteOnly = false) {
+        if (!room.hasUser(targetId)) throw this.invalid('That user is not in the room');
+        if (room.access.roleOf(targetId) === 'owner') throw this.invalid('The owner can\'t be kicked');
+        
+        room.access.kick(targetId);
+        for (const target of room.clientsOf(targetId)) {
+            target.ws.send(JSON.stringify({ type: 'kicked', roomId: room.id }));
+            this.leaveRoom(target);
+        }
+        console.log(`User ${targetId} was kicked from room ${room.id}`);
+        
+        if (inviteOnly) {
+            this.handleAccess(room, { inviteOnly: true });
+        }
+    }
+    
+    // Strokes stream live (begin / points / end) but enter the history as one
+    // operation, so undo, replay and export all work per stroke. The live
+    // messages go to every connection but the drawing one, the user's other
+    // tabs included.
+    handleStrokeBegin(client, room, data) {
+        const { userId } = client;
+        if (!STROKE_TOOLS.includes(data.tool)) throw this.invalid(`Unknown stroke tool: ${data.tool}`);
+        this.checkLayer(room, layerIdOf(data));
+        
+        const key = `${userId}:${data.strokeId}`;
+        const active = [...room.activeStrokes.values()].filter(stroke => stroke.userId === userId);
+        if (!room.activeStrokes.has(key) && active.length >= MAX_ACTIVE_STROKES) {
+            throw this.invalid('Too many strokes in progress');
+        }
+        
+        const stroke = {
+            strokeId: data.strokeId,
+            userId,
+            color: data.color,
+            width: data.width,
+            tool: data.tool,
+            ...brushSettings(data),
+            layerId: layerIdOf(data),
+            points: Array.isArray(data.points) ? [...data.points] : []
+        };
+        room.activeStrokes.set(key, stroke);
+        
+        this.broadcast(room.id, {
+            type: 'stroke-begin',
+            data: stroke
+        }, client);
+    }
+    
+    handleStrokePoints(client, room, data) {
+        const { userId } = client;
+        const stroke = room.activeStrokes.get(`${userId}:${data.strokeId}`);
+        if (!stroke || !Array.isArray(data.points)) return;
+        if (stroke.points.length + data.points.length > MAX_STROKE_POINTS) {
+            throw this.invalid(`A stroke can have at most ${MAX_STROKE_POINTS} points`);
+        }
+        
+        stroke.points.push(...data.points);
+        
+        this.broadcast(room.id, {
+            type: 'stroke-points',
+            data: {
+                strokeId: stroke.strokeId,
+                userId,
+                points: data.points
+            }
+        }, client);
+    }
+    
+    endStroke(room, stroke) {
+        room.activeStrokes.delete(`${stroke.userId}:${stroke.strokeId}`);
+        
+        // A single point draws nothing; tell peers to drop the live preview
+        if (stroke.points.length < 2) {
+            this.broadcast(room.id, {
+                type: 'stroke-cancel',
+                data: { strokeId: stroke.strokeId, userId: stroke.userId }
+            });
+            return;
+        }
+        
+        // The version is assigned by the room state
+        const operation = room.state.addOperation({
+            type: 'stroke',
+            ...stroke,
+            timestamp: Date.now(),
+            operationId: this.generateOperationId()
+        });
+        
+        // Broadcast to the whole room; the sender only records the version
+        this.broadcast(room.id, {
+            type: 'stroke-end',
+            data: operation
+        });
+    }
+    
+    // A clear hides everything on the board (`scope` 'all') or only what the
+    // user drew ('mine'); it is an operation like any other, so undo brings
+    // it all back. Strokes still in progress are committed after it.
+    handleClear(userId, room, scope) {
+        if (!room.access.canClear(userId, scope)) {
+            throw this.forbidden('Only the room owner can clear the whole board');
+        }
+        
+        const operation = room.state.addOperation({
+            type: 'clear',
+            scope,
+            userId,
+            timestamp: Date.now(),
+            operationId: this.generateOperationId()
+        });
+        
+        this.broadcast(room.id, {
+            type: 'clear',
+            data: operation
+        });
+    }
+    
+    // Shapes are previewed only by their author and arrive whole
+    handleShape(userId, room, data) {
+        const fields = shapeFields(data);
+        if (!fields) throw this.invalid('Invalid shape');
+        this.checkLayer(room, fields.layerId);
+        
+        const operation = room.state.addOperation({
+            type: 'shape',
+            shapeId: data.shapeId,
+            userId,
+            ...fields,
+            timestamp: Date.now(),
+            operationId: this.generateOperationId()
+        });
+        
+        this.broadcast(room.id, {
+            type: 'shape',
+            data: operation
+        });
+    }
+    
+    // A text without objectId is new; with one it is a new revision of that
+    // text object, which hides the earlier revisions (undo brings them back)
+    handleText(userId, room, data) {
+        const fields = textFields(data);
+        if (!fields) throw this.invalid('Invalid text');
+        const objectId = typeof data.objectId === 'string' ? data.objectId : undefined;
+        this.checkLayer(room, fields.layerId);
+        if (objectId) this.checkTargets(room, [objectId]);
+        
+        const operation = room.state.addOperation({
+            type: 'text',
+            textId: data.textId,
+            objectId,
+            userId,
+            ...fields,
+            timestamp: Date.now(),
+            operationId: this.generateOperationId()
+        });
+        
+        this.broadcast(room.id, {
+            type: 'text',
+            data: operation
+        });
+    }
+    
+    // A fill stores only its seed point, color and tolerance; every client
+    // computes the region from the objects below it (see client/fill.js)
+    handleFill(userId, room, data) {
+        const fields = fillFields(data);
+        if (!fields) throw this.invalid('Invalid fill');
+        this.checkLayer(room, fields.layerId);
+        
+        const operation = room.state.addOperation({
+            type: 'fill',
+            fillId: data.fillId,
+            userId,
+            ...fields,
+            timestamp: Date.now(),
+            operationId: this.generateOperationId()
+        });
+        
+        this.broadcast(room.id, {
+            type: 'fill',
+            data: operation
+        });
+    }
+    
+    // An uploaded image placed on the board; x/y is its top-left corner and
+    // width/height the size it is drawn at
+    handleImage(userId, room, data) {
+        const fields = imageFields(data);
+        if (!fields) throw this.invalid('Invalid image placement');
+        if (!this.loadImage(room.id, fields.imageId)) throw this.invalid('Upload the image to this room first');
+        this.checkLayer(room, fields.layerId);
+        
+        const operation = room.state.addOperation({
+            type: 'image',
+            placeId: data.placeId,
+            userId,
+            ...fields,
+            src: `/r/${room.id}/images/${fields.imageId}`,
+            timestamp: Date.now(),
+            operationId: this.generateOperationId()
+        });
+        
+        this.broadcast(room.id, {
+            type: 'image',
+            data: operation
+        });
+    }
+    
+    // Clients rebuild the layer stack from these operations
+    handleLayer(userId, room, data) {
+        const fields = layerFields(data);
+        if (!fields) throw this.invalid('Invalid layer change');
+        const exists = room.state.getLayers().has(fields.layerId);
+        if (fields.action === 'add' && exists) throw this.invalid(`Layer ${fields.layerId} already exists`);
+        if (fields.action !== 'add' && !exists) throw this.invalid(`Unknown layer: ${fields.layerId}`);
+        
+        const operation = room.state.addOperation({
+            type: 'layer',
+            userId,
+            ...fields,
+            timestamp: Date.now(),
+            operationId: this.generateOperationId()
+        });
+        
+        this.broadcast(room.id, {
+            type: 'layer',
+            data: operation
+        });
+    }
+    
+    // Restore a board exported as a .flamcanvas file (see client/export.js)
+    // into a room nothing was ever drawn in. Its layers and objects become
+    // ordinary operations by the importing user - an object that was
+    // transformed gets a transform of its own - and everyone in the room
+    // receives them as one history delta. Invalid entries are skipped.
+    handleImport(userId, room, data) {
+        if (room.state.version !== 0) throw this.invalid('Boards can only be imported into an empty room');
+        if (!Array.isArray(data.layers) || !Array.isArray(data.objects) ||
+            data.layers.length > MAX_IMPORT_LAYERS || data.objects.length > MAX_IMPORT_OBJECTS) {
+            throw this.invalid(`A board holds at most ${MAX_IMPORT_LAYERS} layers and ${MAX_IMPORT_OBJECTS} objects`);
+        }
+        
+        const operations = [];
+        const add = (type, fields) => {
+            const operation = {
+                type,
+                userId,
+                ...fields,
+                timestamp: Date.now(),
+                operationId: this.generateOperationId()
+            };
+            operations.push(operation);
+            return operation;
+        };
+        
+        // The base layer exists already; the others are added bottom first
+        data.layers.forEach((layer, index) => {
+            if (!layer) return;
+            const layerId = layer.id;
+            const move = layerId === BASE_LAYER_ID
+                ? layerFields({ action: 'move', layerId, index })
+                : layerFields({ action: 'add', layerId, name: layer.name });
+            if (!move) return;
+            add('layer', move);
+            
+            const update = layerFields({
+                action: 'update',
+                layerId,
+                name: layerId === BASE_LAYER_ID ? layer.name : undefined,
+                visible: layer.visible,
+                locked: layer.locked,
+                opacity: layer.opacity
+            });
+            if (update) add('layer', update);
+        });
+        
+        for (const object of data.objects) {
+            if (!object) continue;
+            let fields = null;
+            switch (object.type) {
+                case 'stroke': fields = strokeFields(object); break;
+                case 'shape': fields = shapeFields(object); break;
+                case 'text': fields = textFields(object); break;
+                case 'fill': fields = fillFields(object); break;
+                case 'image':
+                    fields = imageFields(object);
+                    if (fields && this.loadImage(room.id, fields.imageId)) {
+                        fields.src = `/r/${room.id}/images/${fields.imageId}`;
+                    } else {
+                        fields = null;
+                    }
+                    break;
+            }
+            if (!fields) continue;
+            
+            const operation = add(object.type, fields);
+            if (isValidMatrix(object.matrix)) {
+                add('transform', { targets: [operation.operationId], matrix: object.matrix });
+            }
+        }
+        if (operations.length === 0) throw this.invalid('Nothing in the board could be imported');
+        
+        room.state.addOperations(operations);
+        for (const client of room.clients) {
+            this.sendHistory(client.ws, room, 'delta', operations, 0);
+        }
+        console.log(`Imported ${operations.length} operations into room ${room.id}`);
+    }
+    
+    // Move / scale / rotate of selected objects: one affine matrix
+    // [a, b, c, d, e, f] applied on top of their current placement, undone as
+    // one operation
+    handleTransform(userId, room, data) {
+        if (!isValidTargets(data.targets) || !isValidMatrix(data.matrix)) throw this.invalid('Invalid transform');
+        this.checkTargets(room, data.targets);
+        
+        const operation = room.state.addOperation({
+            type: 'transform',
+            transformId: data.transformId,
+            userId,
+            targets: data.targets,
+            matrix: data.matrix,
+            timestamp: Date.now(),
+            operationId: this.generateOperationId()
+        });
+        
+        this.broadcast(room.id, {
+            type: 'transform',
+            data: operation
+        });
+    }
+    
+    // The pieces of a partial erase arrive in batches of points before the
+    // `erase` that commits them; a connection sends one erase at a time, so
+    // a new eraseId drops whatever an unfinished one had sent
+    addErasePoints(client, data) {
+        if (!client.erase || client.erase.eraseId !== data.eraseId) {
+            client.erase = { eraseId: data.eraseId, pieces: new Map(), points: 0 }; // target -> pieces
+        }
+        
+        const erase = client.erase;
+        if (erase.points + data.points.length > MAX_ERASE_POINTS) {
+            throw this.invalid(`An erase can leave at most ${MAX_ERASE_POINTS} points`);
+        }
+        let pieces = erase.pieces.get(data.target);
+        if (!pieces) {
+            if (erase.pieces.size >= MAX_TARGETS) throw this.invalid('Invalid erase');
+            pieces = [];
+            erase.pieces.set(data.target, pieces);
+        }
+        if (data.piece === pieces.length && pieces.length < MAX_ERASE_PIECES) {
+            pieces.push({ color: data.color, width: data.width, ...brushSettings(data), points: [] });
+        } else if (pieces.length === 0 || data.piece !== pieces.length - 1) {
+            throw this.invalid('Invalid erase piece');
+        }
+        
+        pieces[data.piece].points.push(...data.points);
+        erase.points += data.points.length;
+    }
+    
+    // Vector partial erase: each target stroke is replaced by the pieces the
+    // eraser left of it. The pieces are stored in the operation, so every
+    // client (and every replay) shows exactly the same result.
+    handleErase(userId, room, data) {
+        if (!isValidTargets(data.targets) || !Array.isArray(data.pieces) ||
+            data.pieces.length !== data.targets.length) throw this.invalid('Invalid erase');
+        
+        let totalPoints = 0;
+        for (const pieces of data.pieces) {
+            if (!Array.isArray(pieces)) throw this.invalid('Invalid erase');
+            for (const piece of pieces) {
+                const valid = piece && Array.isArray(piece.points) && piece.points.length >= 2 && piece.width > 0 &&
+                    piece.points.every(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+                if (!valid) throw this.invalid('Invalid erase piece');
+                totalPoints += piece.points.length;
+            }
+        }
+        if (totalPoints > MAX_ERASE_POINTS) throw this.invalid(`An erase can leave at most ${MAX_ERASE_POINTS} points`);
+        this.checkTargets(room, data.targets);
+        
+        const operation = room.state.addOperation({
+            type: 'erase',
+            eraseId: data.eraseId,
+            userId,
+            targets: data.targets,
+            pieces: data.pieces.map(pieces => pieces.map(piece => ({
+                color: piece.color,
+                width: piece.width,
+                ...brushSettings(piece),
+                points: piece.points.map(point => (Number.isFinite(point.p)
+                    ? { x: point.x, y: point.y, p: point.p }
+                    : { x: point.x, y: point.y }))
+            }))),
+            timestamp: Date.now(),
+            operationId: this.generateOperationId()
+        });
+        
+        this.broadcast(room.id, {
+            type: 'erase',
+            data: operation
+        });
+    }
+    
+    handleUndo(userId, room) {
+        const undoOp = room.state.undo(userId, this.generateOperationId());
+        if (undoOp) {
+            this.broadcast(room.id, {
+                type: 'undo',
+                data: undoOp
+            });
+        }
+    }
+    
+    handleRedo(userId, room) {
+        const redoOp = room.state.redo(userId, this.generateOperationId());
+        if (redoOp) {
+            this.broadcast(room.id, {
+                type: 'redo',
+                data: redoOp
+            });
         }
     }
     
@@ -224,28 +1651,59 @@ class CollaborativeCanvasServer {
         return 'op_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
     
-    broadcast(message, excludeUserId = null) {
+    // `exclude` is a userId (all of that user's connections) or one connection
+    broadcast(roomId, message, exclude = null) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+        
         const data = JSON.stringify(message);
         
-        for (const [userId, client] of this.clients.entries()) {
-            if (userId !== excludeUserId && client.ws.readyState === WebSocket.OPEN) {
+        for (const client of room.clients) {
+            if (client !== exclude && client.userId !== exclude && client.ws.readyState === WebSocket.OPEN) {
                 client.ws.send(data);
             }
         }
     }
     
     start(port = 3000) {
-        this.server.listen(port, () => {
-            console.log(`Server running on port ${port}`);
-            console.log(`Open http://localhost:${port} in your browser`);
+        this.ready.then(() => {
+            this.server.listen(port, () => {
+                console.log(`Server running on port ${port}`);
+                console.log(`Open http://localhost:${port} in your browser`);
+            });
         });
     }
+    
+    close() {
+        clearInterval(this.cleanupInterval);
+        if (this.wss) {
+            for (const ws of this.wss.clients) {
+                ws.terminate();
+            }
+            this.wss.close();
+        }
+        this.server.close();
+        this.renderer.close();
+        if (this.store) {
+            this.store.close();
+        }
+    }
 }
 
+CollaborativeCanvasServer.HISTORY_CHUNK_BYTES = 64 * 1024;
+
 // Start server if this file is run directly
 if (require.main === module) {
     const server = new CollaborativeCanvasServer();
-    server.start(3000);
+    server.start(process.env.PORT || 3000);
+    
+    // Flush and close the store on shutdown
+    const shutdown = () => {
+        server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
 }
 
-module.exports = CollaborativeCanvasServer;
\ No newline at end of file
+module.exports = CollaborativeCanvasServer;
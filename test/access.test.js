@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RoomAccess = require('../server/access');
+
+function tick() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+test('the first user to claim a room owns it', () => {
+    const access = new RoomAccess();
+
+    assert.strictEqual(access.admit('a', { mayOwn: true }), 'owner');
+    assert.strictEqual(access.admit('b', { mayOwn: true }), 'editor');
+    assert.ok(access.canEdit('b'));
+});
+
+test('a signed invite grants its role', () => {
+    const access = new RoomAccess({ ownerId: 'a', defaultRole: 'editor' });
+    const invite = access.createInvite('viewer');
+
+    assert.strictEqual(access.verifyInvite(invite).role, 'viewer');
+    assert.strictEqual(access.admit('b', { invite }), 'viewer');
+    assert.ok(!access.canEdit('b'));
+
+    // Membership outlives the invite link
+    assert.strictEqual(access.admit('b', {}), 'viewer');
+});
+
+test('forged, foreign, expired and revoked invites are refused', () => {
+    const access = new RoomAccess({ ownerId: 'a' });
+    const invite = access.createInvite('viewer');
+    const [payload, signature] = invite.split('.');
+
+    const forged = Buffer.from(JSON.stringify({ role: 'editor', issuedAt: Date.now(), expiresAt: null })).toString('base64url');
+    assert.strictEqual(access.verifyInvite(`${forged}.${signature}`), null);
+    assert.strictEqual(access.verifyInvite(`${payload}.${signature.slice(1)}`), null);
+    assert.strictEqual(access.verifyInvite(payload), null);
+
+    assert.strictEqual(new RoomAccess().verifyInvite(invite), null);
+    assert.strictEqual(access.verifyInvite(access.createInvite('editor', 0)), null);
+    assert.ok(access.verifyInvite(access.createInvite('editor', 60 * 1000)));
+
+    access.update({ revokeInvites: true });
+    assert.strictEqual(access.verifyInvite(invite), null);
+    assert.deepStrictEqual(access.admit('b', { invite }), { denied: 'invite' });
+});
+
+test('invites survive a restart', () => {
+    const access = new RoomAccess({ ownerId: 'a' });
+    const invite = access.createInvite('viewer');
+
+    const restored = new RoomAccess(JSON.parse(JSON.stringify(access)));
+    assert.strictEqual(restored.admit('b', { invite }), 'viewer');
+});
+
+test('a kicked user needs an invite made after the kick', async () => {
+    const access = new RoomAccess({ ownerId: 'a' });
+    const before = access.createInvite('editor');
+    access.admit('b', { invite: before });
+    await tick();
+    access.kick('b');
+
+    assert.deepStrictEqual(access.admit('b', {}), { denied: 'kicked' });
+    assert.deepStrictEqual(access.admit('b', { invite: before }), { denied: 'invite' });
+
+    await tick();
+    assert.strictEqual(access.admit('b', { invite: access.createInvite('editor') }), 'editor');
+});
+
+test('a kick leaves the room open to newcomers', () => {
+    const access = new RoomAccess({ ownerId: 'a' });
+    access.admit('b', {});
+    access.kick('b');
+
+    assert.deepStrictEqual(access.admit('b', {}), { denied: 'kicked' });
+    assert.strictEqual(access.admit('c', {}), 'editor');
+});
+
+test('an invite-only room takes newcomers only with an invite until the owner reopens it', () => {
+    const access = new RoomAccess({ ownerId: 'a' });
+    access.admit('b', {});
+    access.update({ password: 'secret', inviteOnly: true }, ['a', 'b']);
+
+    // Those present stay; a new user (maybe a kicked one with a new identity) doesn't get in
+    assert.strictEqual(access.admit('b', {}), 'editor');
+    assert.deepStrictEqual(access.admit('c', {}), { denied: 'closed' });
+    assert.deepStrictEqual(access.admit('c', { password: 'secret' }), { denied: 'closed' });
+    assert.strictEqual(access.admit('c', { invite: access.createInvite('viewer') }), 'viewer');
+    assert.strictEqual(new RoomAccess(JSON.parse(JSON.stringify(access))).summary().inviteOnly, true);
+
+    access.update({ inviteOnly: false });
+    assert.strictEqual(access.admit('d', { password: 'secret' }), 'editor');
+});
+
+test('a password is asked of everyone but members', () => {
+    const access = new RoomAccess({ ownerId: 'a' });
+    access.admit('b', {});
+    access.update({ password: 'secret' }, ['a', 'b']);
+
+    assert.strictEqual(access.admit('b', {}), 'editor');
+    assert.deepStrictEqual(access.admit('c', {}), { denied: 'password' });
+    assert.deepStrictEqual(access.admit('c', { password: 'wrong' }), { denied: 'password' });
+    assert.strictEqual(access.admit('c', { password: 'secret' }), 'editor');
+    assert.ok(!JSON.stringify(access).includes('secret'));
+});
@@ -0,0 +1,215 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DrawingState = require('../server/drawing-state');
+
+function stroke(userId, n) {
+    return { type: 'stroke', userId, operationId: `${userId}-${n}`, points: [] };
+}
+
+function ids(operations) {
+    return operations.map(op => op.operationId);
+}
+
+test('undo and redo only touch the user\'s own operations', () => {
+    const state = new DrawingState();
+    state.addOperation(stroke('a', 1));
+    state.addOperation(stroke('b', 1));
+
+    assert.strictEqual(state.undo('a', 'u1').targetOperationId, 'a-1');
+    assert.strictEqual(state.undo('a', 'u2'), null);
+    assert.deepStrictEqual([...state.undone], ['a-1']);
+
+    assert.strictEqual(state.redo('a', 'r1').targetOperationId, 'a-1');
+    assert.deepStrictEqual([...state.undone], []);
+    assert.strictEqual(state.redo('b', 'r2'), null);
+});
+
+test('a new operation ends its author\'s redo chain', () => {
+    const state = new DrawingState();
+    state.addOperation(stroke('a', 1));
+    state.undo('a', 'u1');
+    state.addOperation(stroke('a', 2));
+
+    assert.strictEqual(state.redo('a', 'r1'), null);
+});
+
+test('restore rebuilds the state from a snapshot and the log after it', () => {
+    const state = new DrawingState();
+    state.addOperation(stroke('a', 1));
+    state.addOperation(stroke('a', 2));
+    state.undo('a', 'u1');
+    state.compact();
+    state.addOperation(stroke('b', 1));
+
+    // The log may still hold records the snapshot already covers
+    const restored = DrawingState.restore(state.exportSnapshot(), state.operations);
+
+    assert.strictEqual(restored.stateId, state.stateId);
+    assert.strictEqual(restored.version, state.version);
+    assert.strictEqual(restored.baseVersion, 3);
+    assert.deepStrictEqual(ids(restored.getSnapshot().operations), ['a-1', 'a-2']);
+    assert.deepStrictEqual(ids(restored.getSnapshot().tail), ['b-1']);
+    assert.deepStrictEqual([...restored.undone], ['a-2']);
+
+    // Stacks come back too: a can still redo, then undo again
+    assert.strictEqual(restored.redo('a', 'r1').targetOperationId, 'a-2');
+    assert.strictEqual(restored.undo('a', 'u2').targetOperationId, 'a-2');
+});
+
+test('restore only resumes clients of the same history', () => {
+    const state = new DrawingState();
+    state.addOperation(stroke('a', 1));
+    state.compact();
+    state.addOperation(stroke('a', 2));
+    const restored = DrawingState.restore(state.exportSnapshot(), state.getOperationsAfter(1));
+
+    assert.ok(restored.canResume(state.stateId, 1));
+    assert.ok(restored.canResume(state.stateId, 2));
+    assert.ok(!restored.canResume(state.stateId, 0));
+    assert.ok(!restored.canResume('other', 2));
+});
+
+test('compaction drops the operations the snapshot covers', () => {
+    const state = new DrawingState();
+    state.addOperation(stroke('a', 1));
+    state.addOperation(stroke('a', 2));
+    state.compact();
+    state.addOperation(stroke('a', 3));
+
+    assert.deepStrictEqual(ids(state.operations), ['a-3']);
+    assert.deepStrictEqual(ids(state.getOperationsAfter(2)), ['a-3']);
+    assert.ok(state.canResume(state.stateId, 2));
+    assert.ok(!state.canResume(state.stateId, 1));
+});
+
+test('compaction drops undone operations nobody can redo', () => {
+    const state = new DrawingState();
+    state.addOperation(stroke('a', 1));
+    state.addOperation(stroke('a', 2));
+    state.undo('a', 'u1');
+    state.addOperation(stroke('a', 3));
+    state.compact();
+
+    assert.deepStrictEqual(ids(state.getSnapshot().operations), ['a-1', 'a-3']);
+    assert.deepStrictEqual(state.getSnapshot().undone, []);
+});
+
+test('undo skips what a clear in effect hides', () => {
+    const state = new DrawingState();
+    state.addOperation(stroke('a', 1));
+    state.addOperation({ type: 'layer', userId: 'a', operationId: 'a-layer' });
+    state.addOperation(stroke('a', 2));
+    state.addOperation({ type: 'clear', scope: 'all', userId: 'b', operationId: 'b-clear' });
+
+    // Layers survive the clear, so they can still be undone
+    assert.strictEqual(state.undo('a', 'u1').targetOperationId, 'a-layer');
+    assert.strictEqual(state.undo('a', 'u2'), null);
+
+    // Once the clear is undone the strokes are back within reach
+    state.undo('b', 'u3');
+    assert.strictEqual(state.undo('a', 'u4').targetOperationId, 'a-2');
+});
+
+test('undo state says whether undo and redo would change anything', () => {
+    const state = new DrawingState();
+    assert.deepStrictEqual(state.getUndoState('a'), { canUndo: false, canRedo: false });
+
+    state.addOperation(stroke('a', 1));
+    assert.deepStrictEqual(state.getUndoState('a'), { canUndo: true, canRedo: false });
+
+    // Someone else's clear hides it, and undoing the clear brings it back
+    state.addOperation({ type: 'clear', scope: 'all', userId: 'b', operationId: 'b-clear' });
+    assert.deepStrictEqual(state.getUndoState('a'), { canUndo: false, canRedo: false });
+    state.undo('b', 'u1');
+    assert.deepStrictEqual(state.getUndoState('a'), { canUndo: true, canRedo: false });
+
+    state.undo('a', 'u2');
+    assert.deepStrictEqual(state.getUndoState('a'), { canUndo: false, canRedo: true });
+    assert.deepStrictEqual(state.getUndoState('b'), { canUndo: false, canRedo: true });
+});
+
+test('undo only reaches back MAX_UNDO_DEPTH operations', () => {
+    const state = new DrawingState();
+    for (let i = 0; i < DrawingState.MAX_UNDO_DEPTH + 5; i++) {
+        state.addOperation(stroke('a', i));
+    }
+
+    assert.strictEqual(state.exportSnapshot().undoStacks.a.length, DrawingState.MAX_UNDO_DEPTH);
+    assert.strictEqual(state.exportSnapshot().undoStacks.a[0], 'a-5');
+});
+
+test('compaction drops what a clear nobody can undo any more hides', () => {
+    const state = new DrawingState();
+    for (let round = 0; round < 5; round++) {
+        for (let i = 0; i < 199; i++) {
+            state.addOperation(stroke('a', `${round}-${i}`));
+        }
+        state.addOperation({ type: 'clear', scope: 'all', userId: 'a', operationId: `a-clear-${round}` });
+    }
+    state.compact();
+
+    // Only the last clear can still be undone, so it and what it hides stay
+    const snapshot = state.exportSnapshot();
+    assert.strictEqual(snapshot.operations.length, 200);
+    assert.strictEqual(snapshot.operations[0].operationId, 'a-4-0');
+    assert.strictEqual(snapshot.undoStacks.a.length, DrawingState.MAX_UNDO_DEPTH);
+});
+
+test('compaction keeps layers and what came after a clear nobody can undo', () => {
+    const state = new DrawingState();
+    state.addOperation({ type: 'text', userId: 'a', operationId: 't-1' });
+    state.addOperation({ type: 'transform', userId: 'a', operationId: 'm-1', targets: ['t-1'], matrix: [1, 0, 0, 1, 5, 5] });
+    state.addOperation({ type: 'layer', userId: 'a', operationId: 'l-1' });
+    state.addOperation({ type: 'clear', scope: 'all', userId: 'b', operationId: 'b-clear' });
+    state.addOperation({ type: 'text', userId: 'a', operationId: 't-2', objectId: 't-1' });
+
+    // b draws on until the clear is out of undo's reach
+    for (let i = 0; i < DrawingState.MAX_UNDO_DEPTH; i++) {
+        state.addOperation(stroke('b', i));
+    }
+    state.compact();
+
+    const kept = state.getSnapshot().operations.filter(op => op.userId === 'a');
+    assert.deepStrictEqual(ids(kept), ['l-1', 't-2']);
+    assert.deepStrictEqual(state.exportSnapshot().undoStacks.a, ['l-1', 't-2']);
+});
+
+test('a clear of one\'s own drawings keeps what others drew and what is edited', () => {
+    const state = new DrawingState();
+    state.addOperation(stroke('a', 1));
+    state.addOperation(stroke('a', 2));
+    state.addOperation(stroke('b', 1));
+    state.addOperation({ type: 'delete', userId: 'b', operationId: 'd-1', targets: ['a-2'] });
+    state.addOperation({ type: 'clear', scope: 'mine', userId: 'a', operationId: 'a-clear' });
+    for (let i = 0; i < DrawingState.MAX_UNDO_DEPTH; i++) {
+        state.addOperation(stroke('a', `later-${i}`));
+    }
+    state.compact();
+
+    assert.deepStrictEqual(ids(state.getSnapshot().operations.slice(0, 4)), ['a-2', 'b-1', 'd-1', 'a-clear']);
+});
+
+test('layers follow layer operations and their undo', () => {
+    const state = new DrawingState();
+    state.addOperation({ type: 'layer', action: 'add', layerId: 'l1', name: 'Ink', userId: 'a', operationId: 'a-add' });
+    state.addOperation({ type: 'layer', action: 'update', layerId: 'l1', locked: true, userId: 'a', operationId: 'a-lock' });
+    assert.deepStrictEqual(state.getLayers().get('l1'), { visible: true, locked: true });
+
+    state.undo('a', 'u1');
+    assert.deepStrictEqual(state.getLayers().get('l1'), { visible: true, locked: false });
+    state.undo('a', 'u2');
+    assert.deepStrictEqual([...state.getLayers().keys()], ['base']);
+});
+
+test('objects keep their layer through revisions and erases', () => {
+    const state = new DrawingState();
+    state.addOperation({ ...stroke('a', 1), layerId: 'l1' });
+    state.addOperation({ type: 'text', userId: 'a', operationId: 't-1' });
+    state.addOperation({ type: 'text', userId: 'a', operationId: 't-2', objectId: 't-1', layerId: 'l2' });
+    state.addOperation({ type: 'erase', userId: 'b', operationId: 'e-1', targets: ['a-1'], pieces: [[{}, {}]] });
+
+    const layers = state.getObjectLayers();
+    assert.strictEqual(layers.get('t-1'), 'l2');
+    assert.strictEqual(layers.get('e-1/0/1'), 'l1');
+    assert.ok(!layers.has('e-1'));
+});
@@ -0,0 +1,73 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../server/file-store');
+
+let dir;
+let store;
+
+function logFile(roomId) {
+    return path.join(dir, 'rooms', roomId, 'operations.jsonl');
+}
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+    store = new FileStore(dir);
+});
+
+afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('reads back appended operations in order', () => {
+    store.appendOperation('r', { version: 1 });
+    store.appendOperation('r', { version: 2 });
+
+    assert.deepStrictEqual(store.loadRoom('r').operations, [{ version: 1 }, { version: 2 }]);
+    assert.deepStrictEqual(store.listRooms(), ['r']);
+});
+
+test('drops a truncated last record and lets later appends start on a fresh line', () => {
+    store.appendOperation('r', { version: 1 });
+    store.close();
+    fs.appendFileSync(logFile('r'), '{"version":2,"poi');
+
+    assert.deepStrictEqual(store.readLog('r'), [{ version: 1 }]);
+
+    store.appendOperation('r', { version: 3 });
+    assert.deepStrictEqual(store.readLog('r'), [{ version: 1 }, { version: 3 }]);
+});
+
+test('keeps a last record that only lost its newline', () => {
+    store.appendOperation('r', { version: 1 });
+    store.close();
+    fs.appendFileSync(logFile('r'), '{"version":2}');
+
+    assert.deepStrictEqual(store.readLog('r'), [{ version: 1 }, { version: 2 }]);
+    assert.ok(fs.readFileSync(logFile('r'), 'utf8').endsWith('}\n'));
+});
+
+test('skips corrupt records in the middle of the log', () => {
+    fs.mkdirSync(path.dirname(logFile('r')), { recursive: true });
+    fs.writeFileSync(logFile('r'), '{"version":1}\nnot json\n{"version":2}\n');
+
+    assert.deepStrictEqual(store.readLog('r'), [{ version: 1 }, { version: 2 }]);
+});
+
+test('a snapshot replaces the log with the operations after it', () => {
+    store.appendOperation('r', { version: 1 });
+    store.appendOperation('r', { version: 2 });
+    store.saveSnapshot('r', { version: 1, operations: [] }, [{ version: 2 }]);
+    store.appendOperation('r', { version: 3 });
+
+    const room = store.loadRoom('r');
+    assert.strictEqual(room.snapshot.version, 1);
+    assert.deepStrictEqual(room.operations, [{ version: 2 }, { version: 3 }]);
+});
+
+test('an unknown room loads as null', () => {
+    assert.strictEqual(store.loadRoom('nowhere'), null);
+});
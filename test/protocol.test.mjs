@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseClientMessage, ProtocolError, ERROR_CODES, MAX_MESSAGE_BYTES, MAX_BATCH_POINTS } from '../client/protocol.js';
+
+function rejects(message, code, text) {
+    assert.throws(() => parseClientMessage(message), (error) =>
+        error instanceof ProtocolError && error.code === code && (!text || error.message.includes(text)));
+}
+
+test('keeps only the fields the schema lists', () => {
+    const message = parseClientMessage({
+        type: 'cursor', userId: 'forged', data: { x: 1, y: 2, extra: true }
+    });
+
+    assert.deepStrictEqual(message, { type: 'cursor', data: { x: 1, y: 2 } });
+});
+
+test('leaves out missing optional fields', () => {
+    assert.deepStrictEqual(parseClientMessage({ type: 'join', roomId: null }), { type: 'join' });
+    assert.deepStrictEqual(parseClientMessage({ type: 'clear' }), { type: 'clear' });
+});
+
+test('rejects messages without a known type', () => {
+    rejects(null, ERROR_CODES.INVALID_MESSAGE);
+    rejects({ data: {} }, ERROR_CODES.INVALID_MESSAGE);
+    rejects({ type: 'bogus' }, ERROR_CODES.UNKNOWN_TYPE, 'bogus');
+    rejects({ type: 'toString' }, ERROR_CODES.UNKNOWN_TYPE);
+});
+
+test('names the path of the first bad field', () => {
+    rejects({ type: 'stroke-end' }, ERROR_CODES.INVALID_MESSAGE, 'stroke-end.data must be present');
+    rejects(
+        { type: 'stroke-begin', data: { strokeId: 's', tool: 'brush', color: 'red', width: 2, points: [] } },
+        ERROR_CODES.INVALID_MESSAGE, 'stroke-begin.data.color'
+    );
+    rejects(
+        { type: 'stroke-points', data: { strokeId: 's', points: [{ x: 0, y: 1e9 }] } },
+        ERROR_CODES.INVALID_MESSAGE, 'stroke-points.data.points[0].y'
+    );
+});
+
+test('checks sizes, ranges and choices', () => {
+    rejects({ type: 'profile', name: 'x'.repeat(1000) }, ERROR_CODES.INVALID_MESSAGE, 'profile.name');
+    rejects({ type: 'invite', role: 'owner' }, ERROR_CODES.INVALID_MESSAGE, 'one of editor, viewer');
+    rejects({ type: 'clear', scope: 'everyone' }, ERROR_CODES.INVALID_MESSAGE, 'clear.scope');
+    rejects({ type: 'ping', timestamp: Infinity }, ERROR_CODES.INVALID_MESSAGE, 'ping.timestamp');
+});
+
+test('the largest messages the schema allows fit in a frame', () => {
+    const point = { x: -1234567.123456789, y: -1234567.123456789, p: 0.123456789012345, tx: -12.3456789012345, ty: -12.3456789012345 };
+    const points = Array(MAX_BATCH_POINTS).fill(point);
+    const key = 'k'.repeat(64);
+    const messages = [
+        { type: 'stroke-points', data: { strokeId: key, points } },
+        {
+            type: 'erase-points',
+            data: { eraseId: key, target: key, piece: 999, color: '#000000', width: 1000, brush: 'b'.repeat(32), opacity: 1, seed: 2 ** 31, points }
+        },
+        { type: 'transform', data: { transformId: key, targets: Array(1000).fill(key), matrix: Array(6).fill(-1234567.123456789) } },
+        { type: 'text', data: { textId: key, objectId: key, x: 0, y: 0, text: '\u0001'.repeat(5000), fontSize: 1000, color: '#000000', layerId: key } }
+    ];
+
+    for (const message of messages) {
+        const size = Buffer.byteLength(JSON.stringify(parseClientMessage(message)));
+        assert.ok(size <= MAX_MESSAGE_BYTES, `${message.type} takes ${size} bytes`);
+    }
+    rejects({ type: 'stroke-points', data: { strokeId: 's', points: [...points, point] } }, ERROR_CODES.INVALID_MESSAGE, 'a list of at most');
+});
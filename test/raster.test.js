@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const jpeg = require('jpeg-js');
+const { Bitmap, encodePng, decodePng, decodeJpeg } = require('../server/raster');
+
+function redPng() {
+    const bitmap = new Bitmap(3, 2);
+    bitmap.fill('#ff0000');
+    return encodePng(bitmap);
+}
+
+test('decodes the PNGs it encodes', () => {
+    const image = decodePng(redPng());
+
+    assert.strictEqual(image.width, 3);
+    assert.strictEqual(image.height, 2);
+    assert.deepStrictEqual([...image.pixels.slice(0, 4)], [255, 0, 0, 255]);
+});
+
+test('refuses PNGs that claim a huge size or inflate past their header', () => {
+    const huge = Buffer.from(redPng());
+    huge.writeUInt32BE(100000, 16);
+    huge.writeUInt32BE(100000, 20);
+    assert.strictEqual(decodePng(huge), null);
+
+    // A 3x2 header followed by 50 MB of zeros
+    const data = zlib.deflateSync(Buffer.alloc(50 * 1024 * 1024));
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const bomb = Buffer.concat([redPng().subarray(0, 33), length, Buffer.from('IDAT'), data, Buffer.alloc(4)]);
+    assert.strictEqual(decodePng(bomb), null);
+});
+
+test('decodes JPEGs and refuses ones that claim a huge size', () => {
+    const data = Buffer.alloc(8 * 8 * 4);
+    for (let i = 0; i < 64; i++) data.set([0, 0, 255, 255], i * 4);
+    const jpg = jpeg.encode({ width: 8, height: 8, data }, 90).data;
+
+    const image = decodeJpeg(jpg);
+    assert.strictEqual(image.width, 8);
+    assert.ok(image.pixels[2] > 240 && image.pixels[0] < 16);
+
+    // The frame header (SOF0) holds the height and width
+    const huge = Buffer.from(jpg);
+    const sof = huge.indexOf(Buffer.from([0xFF, 0xC0]));
+    huge.writeUInt16BE(60000, sof + 5);
+    huge.writeUInt16BE(60000, sof + 7);
+    assert.strictEqual(decodeJpeg(huge), null);
+    assert.strictEqual(decodeJpeg(Buffer.from('not a jpeg')), null);
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TokenBucket = require('../server/rate-limit');
+
+test('allows a burst, then refuses until tokens refill', () => {
+    const bucket = new TokenBucket(10, 3);
+
+    assert.ok(bucket.take());
+    assert.ok(bucket.take());
+    assert.ok(bucket.take());
+    assert.ok(!bucket.take());
+
+    // 0.2 s at 10 per second refills two tokens
+    bucket.updatedAt -= 200;
+    assert.ok(bucket.take());
+    assert.ok(bucket.take());
+    assert.ok(!bucket.take());
+});
+
+test('never holds more than the burst', () => {
+    const bucket = new TokenBucket(10, 3);
+    bucket.updatedAt -= 60 * 1000;
+
+    assert.ok(bucket.take(3));
+    assert.ok(!bucket.take());
+});
+
+test('takes several tokens at once only when it has them all', () => {
+    const bucket = new TokenBucket(1, 5);
+
+    assert.ok(!bucket.take(6));
+    assert.ok(bucket.take(5));
+});
@@ -0,0 +1,281 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const CollaborativeCanvasServer = require('../server/server');
+const FileStore = require('../server/file-store');
+const Room = require('../server/room');
+
+let dir;
+let server;
+let port;
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+    server = new CollaborativeCanvasServer({ store: new FileStore(dir) });
+    await server.ready;
+    await new Promise(resolve => server.server.listen(0, resolve));
+    port = server.server.address().port;
+});
+
+afterEach(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A connection that said hello (as the user of `token`, if given).
+// `next(type)` resolves to the first message of that type not taken yet;
+// `join()` to the welcome, with the operations of the history that follows.
+// Any other messages stay until taken.
+function connect(token) {
+    const ws = new WebSocket(`ws://localhost:${port}/ws`);
+    const received = [];
+    const waiting = [];
+    const connection = {
+        send: message => ws.send(JSON.stringify(message)),
+        next: type => new Promise((resolve) => {
+            const index = received.findIndex(message => message.type === type);
+            if (index >= 0) return resolve(received.splice(index, 1)[0]);
+            waiting.push({ type, resolve });
+        }),
+        join: async (roomId, fields = {}) => {
+            connection.send({ type: 'join', roomId, ...fields });
+            const welcome = await connection.next('welcome');
+            await connection.next('history-begin');
+            await connection.next('history-end');
+            return { ...welcome, operations: connection.takeAll('history-chunk').flatMap(chunk => chunk.operations) };
+        },
+        takeAll: (type) => {
+            const taken = received.filter(message => message.type === type);
+            received.splice(0, received.length, ...received.filter(message => message.type !== type));
+            return taken;
+        },
+        close: () => new Promise(resolve => ws.once('close', resolve).close())
+    };
+    ws.on('message', (data) => {
+        const message = JSON.parse(data);
+        const index = waiting.findIndex(wait => wait.type === message.type);
+        if (index >= 0) {
+            waiting.splice(index, 1)[0].resolve(message);
+        } else {
+            received.push(message);
+        }
+    });
+    ws.on('open', () => connection.send({ type: 'hello', version: server.protocol.PROTOCOL_VERSION, token }));
+    return connection.next('hello').then(hello => Object.assign(connection, hello));
+}
+
+// Once the server has seen the connection go
+async function disconnect(connection) {
+    await connection.close();
+    while ([...server.clients].some(client => client.userId === connection.userId)) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+function importBoard(connection, roomId, board) {
+    return fetch(`http://localhost:${port}/r/${roomId}/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Upload-Token': connection.uploadToken },
+        body: JSON.stringify(board)
+    });
+}
+
+const rect = (x) => ({ type: 'shape', shape: 'rect', color: '#000000', width: 2, points: [{ x, y: 0 }, { x: x + 5, y: 5 }] });
+
+test('an import of thousands of objects is stored as one snapshot', () => {
+    const room = server.getOrCreateRoom('big');
+    const objects = Array.from({ length: 5000 }, (_, i) => ({
+        type: 'shape',
+        shape: 'rect',
+        color: '#000000',
+        width: 2,
+        points: [{ x: i, y: 0 }, { x: i + 5, y: 5 }],
+        matrix: [1, 0, 0, 1, 10, 10]
+    }));
+
+    const calls = { appendOperation: 0, saveSnapshot: 0 };
+    for (const name of Object.keys(calls)) {
+        const original = server.store[name].bind(server.store);
+        server.store[name] = (...args) => {
+            calls[name]++;
+            return original(...args);
+        };
+    }
+    server.handleImport('a', room, { layers: [], objects });
+
+    // Every object and its transform, folded into a single snapshot
+    assert.strictEqual(room.state.version, 10000);
+    assert.deepStrictEqual(calls, { appendOperation: 0, saveSnapshot: 1 });
+    assert.strictEqual(room.state.operations.length, 0);
+    assert.strictEqual(server.store.loadRoom('big').snapshot.operations.length, 10000);
+});
+
+test('a room nobody is in is revalidated without reading its history', async () => {
+    const room = server.getOrCreateRoom('quiet');
+    room.state.addOperation({ type: 'stroke', userId: 'a', operationId: 's1', color: '#000000', width: 2, points: [{ x: 0, y: 0 }, { x: 5, y: 5 }] });
+    server.rooms.delete('quiet');
+    fs.rmSync(path.join(dir, 'rooms', 'quiet', 'snapshot.json'));
+
+    let reads = 0;
+    const loadRoom = server.store.loadRoom.bind(server.store);
+    server.store.loadRoom = (roomId) => {
+        reads++;
+        return loadRoom(roomId);
+    };
+    const send = (headers = {}) => new Promise((resolve) => {
+        const res = {
+            headers: {},
+            status(code) { this.code = code; return this; },
+            set(name, value) { this.headers[name] = value; },
+            type() { return this; },
+            json: () => resolve(res),
+            send: () => resolve(res),
+            end: () => resolve(res)
+        };
+        const req = {
+            params: { roomId: 'quiet' },
+            query: {},
+            get fresh() { return headers['if-none-match'] === res.headers.ETag; }
+        };
+        server.sendRender(req, res, resolve, 'svg');
+    });
+
+    const first = await send();
+    const second = await send({ 'if-none-match': first.headers.ETag });
+    assert.strictEqual(first.headers.ETag, second.headers.ETag);
+    assert.strictEqual(second.code, 304);
+    assert.strictEqual(reads, 1);
+});
+
+test('erase pieces arrive in batches and are checked as they come', () => {
+    const client = { erase: null };
+    const points = (count) => Array.from({ length: count }, (_, i) => ({ x: i, y: 0 }));
+    const batch = (fields) => server.addErasePoints(client, { eraseId: 'e1', target: 't', color: '#000000', width: 2, ...fields });
+
+    batch({ piece: 0, points: points(500) });
+    batch({ piece: 0, points: points(500) });
+    batch({ piece: 1, points: points(2) });
+    assert.deepStrictEqual(client.erase.pieces.get('t').map(piece => piece.points.length), [1000, 2]);
+
+    // Only the last piece continues and only the next one starts
+    assert.throws(() => batch({ piece: 0, points: points(2) }), /Invalid erase piece/);
+    assert.throws(() => batch({ piece: 3, points: points(2) }), /Invalid erase piece/);
+    assert.throws(() => batch({ target: 'u', piece: -1, points: points(2) }), /Invalid erase piece/);
+
+    // A new erase starts over
+    server.addErasePoints(client, { eraseId: 'e2', target: 't', piece: 0, color: '#000000', width: 2, points: points(2) });
+    assert.strictEqual(client.erase.points, 2);
+});
+
+test('a live stroke reaches the author\'s other tabs but not the tab drawing it', () => {
+    const room = server.getOrCreateRoom('tabs');
+    const connection = (userId) => {
+        const client = { userId, received: [], ws: { readyState: 1, send: data => client.received.push(JSON.parse(data).type) } };
+        room.addClient(client);
+        return client;
+    };
+    const drawing = connection('a');
+    const otherTab = connection('a');
+    const peer = connection('b');
+
+    server.handleStrokeBegin(drawing, room, { strokeId: 's1', tool: 'brush', color: '#000000', width: 2, points: [{ x: 0, y: 0 }] });
+    server.handleStrokePoints(drawing, room, { strokeId: 's1', points: [{ x: 5, y: 5 }] });
+
+    assert.deepStrictEqual(drawing.received, []);
+    assert.deepStrictEqual(otherTab.received, ['stroke-begin', 'stroke-points']);
+    assert.deepStrictEqual(peer.received, ['stroke-begin', 'stroke-points']);
+});
+
+test('whoever opens a room owns it, and the room hears who comes and goes', { timeout: 5000 }, async () => {
+    const a = await connect();
+    const welcome = await a.join('team');
+    assert.strictEqual(welcome.role, 'owner');
+    assert.deepStrictEqual(welcome.users.map(user => user.id), [a.userId]);
+
+    const b = await connect();
+    assert.strictEqual((await b.join('team')).role, 'editor');
+    const joined = await a.next('user-joined');
+    assert.strictEqual(joined.userId, b.userId);
+    assert.strictEqual(joined.role, 'editor');
+
+    await disconnect(b);
+    assert.strictEqual((await a.next('user-left')).userId, b.userId);
+
+    // A room id that isn't one leads to the lobby, which nobody owns
+    const lobby = await a.join('../etc');
+    assert.strictEqual(lobby.roomId, Room.DEFAULT_ID);
+    assert.strictEqual(lobby.role, 'editor');
+    await a.close();
+});
+
+test('a room is unloaded when its last user leaves and restored by the next join', { timeout: 5000 }, async () => {
+    const a = await connect();
+    await a.join('keep');
+    a.send({ type: 'shape', data: { shapeId: 's1', ...rect(0) } });
+    await a.next('shape');
+    await disconnect(a);
+    assert.ok(!server.rooms.has('keep'));
+
+    // The owner is still the owner when they come back
+    const again = await connect(a.token);
+    const welcome = await again.join('keep');
+    assert.strictEqual(welcome.role, 'owner');
+    assert.strictEqual(welcome.version, 1);
+    assert.deepStrictEqual(welcome.operations.map(op => op.shapeId), ['s1']);
+    await again.close();
+});
+
+test('roles decide what a user may send', { timeout: 5000 }, async () => {
+    const owner = await connect();
+    await owner.join('roles');
+    owner.send({ type: 'access', defaultRole: 'viewer' });
+    await owner.next('access');
+
+    const viewer = await connect();
+    assert.strictEqual((await viewer.join('roles')).role, 'viewer');
+    viewer.send({ type: 'shape', data: { shapeId: 's1', ...rect(0) } });
+    assert.strictEqual((await viewer.next('error')).code, 'forbidden');
+    viewer.send({ type: 'access', locked: true });
+    assert.match((await viewer.next('error')).message, /Only the room owner/);
+
+    owner.send({ type: 'invite', role: 'editor' });
+    const { invite } = await owner.next('invite');
+    const editor = await connect();
+    assert.strictEqual((await editor.join('roles', { invite })).role, 'editor');
+    editor.send({ type: 'shape', data: { shapeId: 's2', ...rect(0) } });
+    assert.strictEqual((await owner.next('shape')).data.shapeId, 's2');
+
+    await Promise.all([owner.close(), viewer.close(), editor.close()]);
+});
+
+test('a board is imported over HTTP into an empty room by someone who may edit it', { timeout: 5000 }, async () => {
+    const owner = await connect();
+    await owner.join('import');
+    owner.send({ type: 'access', defaultRole: 'viewer' });
+    await owner.next('access');
+    const viewer = await connect();
+    await viewer.join('import');
+
+    let response = await importBoard(viewer, 'import', { layers: [], objects: [rect(0)] });
+    assert.strictEqual(response.status, 403);
+
+    response = await importBoard(owner, 'import', { layers: [], objects: [rect(0), { type: 'bogus' }, rect(10)] });
+    assert.strictEqual(response.status, 201);
+    assert.deepStrictEqual(await response.json(), { version: 2 });
+    for (const connection of [owner, viewer]) {
+        assert.strictEqual((await connection.next('history-begin')).mode, 'delta');
+        assert.strictEqual((await connection.next('history-chunk')).operations.length, 2);
+    }
+
+    response = await importBoard(owner, 'import', { layers: [], objects: [rect(0)] });
+    assert.strictEqual(response.status, 400);
+    assert.match((await response.json()).error, /empty room/);
+
+    // The token only works for the room its connection is in
+    response = await importBoard(owner, 'elsewhere', { layers: [], objects: [rect(0)] });
+    assert.strictEqual(response.status, 403);
+    await Promise.all([owner.close(), viewer.close()]);
+});